@@ -0,0 +1,73 @@
+// Verifikasi challenge anti-bot (captcha) untuk form publik. Setiap driver
+// menyediakan:
+//   name                      - nama driver
+//   verify(token, remoteIp)   - true jika token dari client valid
+
+// Turnstile, hCaptcha, dan reCAPTCHA memakai API siteverify yang sama
+const SITEVERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+};
+
+export const createSiteverifyChallenge = ({ name, url, secret }) => ({
+  name,
+
+  verify: async (token, remoteIp) => {
+    if (!token) return false;
+
+    const body = new URLSearchParams({ secret, response: String(token) });
+    if (remoteIp) body.set("remoteip", remoteIp);
+
+    const response = await fetch(url, { method: "POST", body });
+    if (!response.ok) {
+      throw new Error(`Challenge verification failed (${response.status})`);
+    }
+
+    const result = await response.json();
+    return result.success === true;
+  },
+});
+
+// Pengganti lokal untuk development dan pengujian, tanpa layanan luar:
+// token valid hanya jika sama dengan passToken
+export const createTestChallenge = ({ passToken }) => ({
+  name: "test",
+  verify: async (token) => token === passToken,
+});
+
+// Challenge dimatikan, semua request lolos
+export const createNoChallenge = () => ({
+  name: "none",
+  verify: async () => true,
+});
+
+// Pilih driver dari CHALLENGE_PROVIDER (default: none).
+// CHALLENGE_VERIFY_URL bisa diarahkan ke server siteverify tiruan.
+export const createChallengeFromEnv = (env = process.env) => {
+  const provider = env.CHALLENGE_PROVIDER || "none";
+
+  if (provider === "none") {
+    return createNoChallenge();
+  }
+
+  if (provider === "test") {
+    return createTestChallenge({
+      passToken: env.CHALLENGE_TEST_TOKEN || "test-pass",
+    });
+  }
+
+  if (SITEVERIFY_URLS[provider]) {
+    if (!env.CHALLENGE_SECRET) {
+      throw new Error(`CHALLENGE_SECRET is required for ${provider}`);
+    }
+
+    return createSiteverifyChallenge({
+      name: provider,
+      url: env.CHALLENGE_VERIFY_URL || SITEVERIFY_URLS[provider],
+      secret: env.CHALLENGE_SECRET,
+    });
+  }
+
+  throw new Error(`Unknown CHALLENGE_PROVIDER: ${provider}`);
+};
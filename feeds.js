@@ -0,0 +1,123 @@
+// Pembuat feed RSS 2.0 dan Atom 1.0. Setiap item:
+//   { id, title, link, description, date, image }
+// id dipakai sebagai guid/id yang tidak berubah walaupun slug berubah,
+// description berupa teks polos, image (opsional) adalah URL gambar yang
+// dijadikan enclosure.
+
+export const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Karakter kontrol tidak boleh ada di XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+const imageType = (url) => {
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  return IMAGE_TYPES[extension] || "application/octet-stream";
+};
+
+// Elemen kosong dengan atribut, mis. <enclosure url="..." />
+const emptyTag = (name, attributes) => {
+  const pairs = Object.entries(attributes).map(
+    ([key, value]) => `${key}="${escapeXml(value)}"`
+  );
+  return `<${name} ${pairs.join(" ")} />`;
+};
+
+// Tanggal item terbaru, dipakai untuk lastBuildDate/updated dan
+// Last-Modified. null jika belum ada item.
+export const latestDate = (items) =>
+  items.reduce(
+    (latest, item) => (!latest || item.date > latest ? item.date : latest),
+    null
+  );
+
+export const buildRssFeed = ({ title, link, feedUrl, description, items }) => {
+  const entries = items.map((item) => {
+    // description RSS dibaca sebagai HTML oleh pembaca feed, jadi teks
+    // polos di-escape sebagai HTML lalu sebagai XML
+    const itemDescription = escapeXml(escapeXml(item.description));
+    const enclosure = item.image
+      ? `\n      ${emptyTag("enclosure", {
+          // Ukuran file tidak disimpan, jadi atribut length tidak ditulis
+          url: item.image,
+          type: imageType(item.image),
+        })}`
+      : "";
+
+    return `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${itemDescription}</description>${enclosure}
+    </item>`;
+  });
+  const selfLink = emptyTag("atom:link", {
+    href: feedUrl,
+    rel: "self",
+    type: "application/rss+xml",
+  });
+  // Feed kosong memakai waktu sekarang
+  const updated = latestDate(items) || new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>id</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    ${selfLink}
+${entries.join("\n")}
+  </channel>
+</rss>
+`;
+};
+
+export const buildAtomFeed = ({ title, link, feedUrl, description, items }) => {
+  const entries = items.map((item) => {
+    const enclosure = item.image
+      ? `\n    ${emptyTag("link", {
+          rel: "enclosure",
+          href: item.image,
+          type: imageType(item.image),
+        })}`
+      : "";
+
+    return `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(item.link)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escapeXml(item.description)}</summary>${enclosure}
+  </entry>`;
+  });
+
+  const updated = latestDate(items) || new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="id">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" href="${escapeXml(link)}" />
+  <link rel="self" href="${escapeXml(feedUrl)}" type="application/atom+xml" />
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${updated.toISOString()}</updated>
+${entries.join("\n")}
+</feed>
+`;
+};
@@ -0,0 +1,106 @@
+// Pembuat iCalendar (RFC 5545) untuk langganan kalender di HP. Setiap event:
+//   { uid, title, description, start, end, allDay, category, url,
+//     attachment, updatedAt }
+// Acara sehari penuh hanya memakai tanggal (UTC) dan end-nya inklusif,
+// sedangkan DTEND di iCalendar eksklusif sehingga ditulis hari berikutnya.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+
+export const escapeText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Baris lebih dari 75 oktet dilipat menjadi CRLF + spasi, tanpa memotong
+// karakter multi-byte
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Baris lanjutan diawali spasi yang ikut dihitung
+    const limit = parts.length > 0 ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// 2025-01-10T01:00:00.000Z -> 20250110T010000Z
+const formatDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// 2025-01-10T00:00:00.000Z -> 20250110
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+const eventLines = (event) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(event.updatedAt)}`,
+  ];
+
+  if (event.allDay) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(new Date(event.end.getTime() + DAY_MS))}`
+    );
+  } else {
+    lines.push(
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`
+    );
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.attachment) {
+    lines.push(`ATTACH;FMTTYPE=application/pdf:${event.attachment}`);
+  }
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+
+  return lines;
+};
+
+export const buildICalendar = ({
+  name,
+  description,
+  prodId,
+  timezone,
+  events,
+}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-CALDESC:${escapeText(description)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    ...events.flatMap(eventLines),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,53 @@
+import sharp from "sharp";
+
+// Lebar maksimum gambar asli yang disimpan, foto HP biasanya jauh lebih besar
+const MAX_ORIGINAL_WIDTH = parseInt(process.env.IMAGE_MAX_WIDTH || "2048");
+
+// Lebar varian responsif, mis. IMAGE_VARIANT_WIDTHS=320,640,1024,1600
+const VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || "320,640,1024,1600")
+  .split(",")
+  .map((width) => parseInt(width))
+  .filter((width) => width > 0)
+  .sort((a, b) => a - b);
+
+const VARIANT_FORMATS = [
+  { format: "webp", extension: "webp", contentType: "image/webp" },
+  { format: "jpeg", extension: "jpg", contentType: "image/jpeg" },
+];
+
+// GIF bisa beranimasi, jadi tidak diproses ulang
+export const isProcessableImage = (mimetype) =>
+  ["image/jpeg", "image/png", "image/webp"].includes(mimetype);
+
+// Putar sesuai orientasi EXIF lalu simpan ulang tanpa metadata (EXIF/GPS).
+// sharp tidak menyalin metadata kecuali diminta dengan withMetadata().
+export const sanitizeImage = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_ORIGINAL_WIDTH, withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width };
+};
+
+// Buat varian WebP dan JPEG untuk setiap lebar yang tidak melebihi gambar
+// aslinya. Gambar yang lebih kecil dari semua lebar tetap mendapat satu varian.
+export const createImageVariants = async (buffer, originalWidth) => {
+  let widths = VARIANT_WIDTHS.filter((width) => width < originalWidth);
+  if (widths.length === 0) widths = [originalWidth];
+
+  const variants = [];
+  for (const width of widths) {
+    for (const { format, extension, contentType } of VARIANT_FORMATS) {
+      let image = sharp(buffer).resize({ width });
+      // JPEG tidak punya transparansi, latar PNG dibuat putih
+      if (format === "jpeg") image = image.flatten({ background: "#ffffff" });
+
+      const data = await image.toFormat(format, { quality: 80 }).toBuffer();
+
+      variants.push({ width, format, extension, contentType, buffer: data });
+    }
+  }
+
+  return variants;
+};
@@ -1,1349 +1,5699 @@
 import express from "express";
 import cors from "cors";
-import { PrismaClient } from "@prisma/client";
+import { PrismaClient, Prisma } from "@prisma/client";
 import multer from "multer";
-import { createClient } from "@supabase/supabase-js";
+import { fileTypeFromBuffer } from "file-type";
 import dotenv from "dotenv";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { authenticator } from "otplib";
+import { createStorageFromEnv, isExternalFile } from "./storage.js";
+import { reconcileStorage } from "./storage-gc.js";
+import { buildRssFeed, buildAtomFeed, latestDate } from "./feeds.js";
+import { buildSitemap } from "./sitemap.js";
+import { buildICalendar } from "./ical.js";
+import { createChallengeFromEnv } from "./challenge.js";
+import { createMailerFromEnv } from "./mailer.js";
+import {
+  RICH_TEXT_FIELDS,
+  RICH_TEXT_FORMATS,
+  htmlToText,
+  renderRichText,
+  rerenderRichText,
+} from "./rich-text.js";
+import {
+  isProcessableImage,
+  sanitizeImage,
+  createImageVariants,
+} from "./images.js";
 
 dotenv.config();
 
 const SECRET_KEY = process.env.SECRET_KEY;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "1h";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "7"
+);
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(
+  process.env.LOGIN_MAX_ATTEMPTS_PER_IP || "20"
+);
+const LOGIN_MAX_ATTEMPTS_PER_USERNAME = parseInt(
+  process.env.LOGIN_MAX_ATTEMPTS_PER_USERNAME || "5"
+);
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(
+  process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || "15"
+);
+const LOGIN_LOCKOUT_MINUTES = parseInt(
+  process.env.LOGIN_LOCKOUT_MINUTES || "15"
+);
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "SMPN 1 Tamansari";
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+const SITE_NAME = process.env.SITE_NAME || "SMPN 1 Tamansari";
+// Alamat website (frontend), dipakai untuk link di feed dan sitemap
+const FRONTEND_URL = (
+  process.env.FRONTEND_URL || "http://localhost:3000"
+).replace(/\/+$/, "");
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT || "20");
+const FEED_CACHE_MAX_AGE = parseInt(process.env.FEED_CACHE_MAX_AGE || "600");
+const SITEMAP_CACHE_MAX_AGE = parseInt(
+  process.env.SITEMAP_CACHE_MAX_AGE || "3600"
+);
+// Zona waktu sekolah (WIB) untuk feed kalender dan isi email
+const SCHOOL_TIMEZONE = "Asia/Jakarta";
+// Agenda yang sudah lewat lebih lama dari ini tidak dimuat di feed .ics
+const CALENDAR_FEED_PAST_DAYS = parseInt(
+  process.env.CALENDAR_FEED_PAST_DAYS || "365"
+);
+const CONTACT_MAX_MESSAGES_PER_IP = parseInt(
+  process.env.CONTACT_MAX_MESSAGES_PER_IP || "5"
+);
+const CONTACT_RATE_WINDOW_MINUTES = parseInt(
+  process.env.CONTACT_RATE_WINDOW_MINUTES || "60"
+);
+const CONTACT_DUPLICATE_WINDOW_HOURS = parseInt(
+  process.env.CONTACT_DUPLICATE_WINDOW_HOURS || "24"
+);
+// Alamat kantor yang diberi tahu saat ada pesan baru (pisahkan dengan koma)
+const CONTACT_NOTIFY_EMAILS = (process.env.CONTACT_NOTIFY_EMAIL || "")
+  .split(",")
+  .map((email) => email.trim())
+  .filter(Boolean);
+// Tanda terima ke alamat yang belum diverifikasi, jadi harus diaktifkan
+// sendiri (CONTACT_AUTO_ACKNOWLEDGE=true)
+const CONTACT_AUTO_ACKNOWLEDGE =
+  process.env.CONTACT_AUTO_ACKNOWLEDGE === "true";
 const prisma = new PrismaClient();
 
+// Toleransi satu langkah (30 detik) untuk selisih jam di HP admin
+authenticator.options = { window: 1 };
+
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Supabase configuration
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-const BUCKET_NAME = "uploads"; // Replace with your Supabase storage bucket name
+// Di belakang proxy (mis. Vercel) req.ip harus diambil dari X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", isNaN(trustProxy) ? trustProxy : Number(trustProxy));
+}
+
+// Storage file (Supabase atau folder lokal, lihat storage.js)
+const storage = createStorageFromEnv();
+
+// Captcha untuk form publik (Turnstile, hCaptcha, reCAPTCHA, atau stand-in
+// lokal, lihat challenge.js)
+const challenge = createChallengeFromEnv();
+
+// Email keluar (SMTP, atau hanya log jika SMTP belum diatur, lihat mailer.js)
+const mailer = createMailerFromEnv();
+
+// File lokal disajikan langsung oleh Express
+if (storage.name === "local") {
+  app.use("/uploads", express.static(storage.directory));
+}
+
+// Aturan upload per jenis file. Ukuran maksimum bisa diatur lewat env (MB).
+const UPLOAD_RULES = {
+  image: {
+    label: "image",
+    mimeTypes: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+    maxSize: parseFloat(process.env.MAX_IMAGE_SIZE_MB || "5") * 1024 * 1024,
+  },
+  pdf: {
+    label: "PDF",
+    mimeTypes: ["application/pdf"],
+    maxSize: parseFloat(process.env.MAX_PDF_SIZE_MB || "10") * 1024 * 1024,
+  },
+};
+
+// Foto dan lampiran PDF dalam satu upload (mis. media berita). multer
+// hanya mengenal satu batas ukuran, jadi batas per jenis file (rules)
+// dicek lagi setelah jenis file diketahui.
+UPLOAD_RULES.media = {
+  label: "image or PDF",
+  mimeTypes: [...UPLOAD_RULES.image.mimeTypes, ...UPLOAD_RULES.pdf.mimeTypes],
+  maxSize: Math.max(UPLOAD_RULES.image.maxSize, UPLOAD_RULES.pdf.maxSize),
+  rules: [UPLOAD_RULES.image, UPLOAD_RULES.pdf],
+};
+
+const sendFileTooLarge = (res, rule) => {
+  const maxSizeMb = Math.round((rule.maxSize / 1024 / 1024) * 10) / 10;
+  return res
+    .status(413)
+    .json({ error: `File is too large, maximum size is ${maxSizeMb} MB` });
+};
+
+const sendUploadError = (res, error, rule) => {
+  if (error.code === "LIMIT_FILE_SIZE") {
+    return sendFileTooLarge(res, rule);
+  }
+
+  if (error instanceof multer.MulterError) {
+    return res
+      .status(400)
+      .json({ error: `Invalid upload: ${error.message}`, field: error.field });
+  }
+
+  console.error("Upload error:", error);
+  return res.status(500).json({ error: "Failed to process upload" });
+};
+
+// Seperti multer().single/array/fields, tetapi jenis file dicek dari isinya
+// (magic bytes), bukan dari mimetype yang dikirim browser
+const createUpload = (rule) => {
+  const upload = multer({
+    storage: multer.memoryStorage(), // (no need for local disk storage)
+    limits: { fileSize: rule.maxSize },
+  });
 
-// Configure multer (no need for local disk storage)
-const upload = multer({ storage: multer.memoryStorage() });
+  const validate = (handler) => (req, res, next) => {
+    handler(req, res, async (error) => {
+      if (error) return sendUploadError(res, error, rule);
+
+      // upload.fields() menghasilkan objek { field: [file, ...] }
+      const files = req.files
+        ? Object.values(req.files).flat()
+        : req.file
+        ? [req.file]
+        : [];
+      try {
+        for (const file of files) {
+          const type = await fileTypeFromBuffer(file.buffer);
+
+          if (!type || !rule.mimeTypes.includes(type.mime)) {
+            return res.status(400).json({
+              error: `Invalid file type for "${file.fieldname}", only ${rule.label} files are allowed`,
+            });
+          }
+
+          const typeRule =
+            rule.rules?.find((item) => item.mimeTypes.includes(type.mime)) ||
+            rule;
+          if (file.size > typeRule.maxSize) {
+            return sendFileTooLarge(res, typeRule);
+          }
+
+          file.mimetype = type.mime;
+          file.extension = type.ext;
+
+          // Magic bytes bisa lolos walaupun file rusak atau terpotong, jadi
+          // gambar langsung didecode di sini agar error sharp menjadi 400
+          if (isProcessableImage(file.mimetype)) {
+            try {
+              const { buffer, width } = await sanitizeImage(file.buffer);
+              Object.assign(file, { buffer, width, sanitized: true });
+            } catch (decodeError) {
+              return res.status(400).json({
+                error: `Invalid image for "${file.fieldname}", the file is corrupted or incomplete`,
+              });
+            }
+          }
+        }
+      } catch (validationError) {
+        return sendUploadError(res, validationError, rule);
+      }
 
-// Upload file to Supabase
-const uploadToSupabase = async (file) => {
-  const uniqueFilename = `${Date.now()}-${file.originalname}`;
-  const { data, error } = await supabase.storage
-    .from(BUCKET_NAME)
-    .upload(uniqueFilename, file.buffer, {
-      contentType: file.mimetype,
+      next();
     });
+  };
+
+  return {
+    single: (field) => validate(upload.single(field)),
+    array: (field, maxCount) => validate(upload.array(field, maxCount)),
+    fields: (fields) => validate(upload.fields(fields)),
+  };
+};
+
+const uploadImage = createUpload(UPLOAD_RULES.image);
+const uploadPdf = createUpload(UPLOAD_RULES.pdf);
+const uploadMedia = createUpload(UPLOAD_RULES.media);
+
+// Teks menjadi huruf kecil, tanpa aksen, kata dipisah "-"
+const slugify = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 80)
+    .replace(/^-+|-+$/g, "");
+
+// Nama file aman untuk key storage: huruf kecil, tanpa spasi dan karakter aneh
+const sanitizeFilename = (originalname, extension) => {
+  const baseName = slugify(originalname.replace(/\.[^.]*$/, ""));
+  return `${baseName || "file"}.${extension}`;
+};
 
-  if (error) {
-    console.error("Supabase upload error:", error);
-    throw new Error("Failed to upload file to Supabase");
+// Upload file ke storage dan kembalikan key-nya. Yang disimpan di database
+// adalah key, URL publik dibuat saat data dikirim ke client.
+// Gambar selalu dibersihkan dari metadata EXIF/GPS sebelum disimpan.
+const uploadFile = async (file) => {
+  const uniqueFilename = `${Date.now()}-${sanitizeFilename(
+    file.originalname,
+    file.extension
+  )}`;
+
+  // File dari createUpload sudah dibersihkan saat validasi
+  if (isProcessableImage(file.mimetype) && !file.sanitized) {
+    const { buffer, width } = await sanitizeImage(file.buffer);
+    file.buffer = buffer;
+    file.width = width;
   }
 
-  // Dapatkan URL publik
-  return supabase.storage.from(BUCKET_NAME).getPublicUrl(uniqueFilename).data
-    .publicUrl;
+  await storage.put(uniqueFilename, file.buffer, file.mimetype);
+  return uniqueFilename;
 };
 
-// Hapus file dari Supabase
-const deleteFromSupabase = async (fileUrl) => {
-  const decodedFileUrl = decodeURIComponent(fileUrl); // Decode URL untuk menangani spasi
-  const filePath = decodedFileUrl.replace(
-    `${process.env.SUPABASE_URL}/storage/v1/object/public/${BUCKET_NAME}/`,
-    ""
-  );
-  console.log("File Path to be deleted:", filePath);
-  const { error } = await supabase.storage.from(BUCKET_NAME).remove([filePath]);
+// Upload gambar beserta varian responsifnya (WebP dan JPEG beberapa lebar).
+// Hasilnya siap disimpan ke kolom image dan imageVariants.
+const uploadImageWithVariants = async (file) => {
+  const image = await uploadFile(file);
+  if (!isProcessableImage(file.mimetype)) {
+    return { image, imageVariants: [] };
+  }
+
+  const baseKey = image.replace(/\.[^.]*$/, "");
+  const variants = await createImageVariants(file.buffer, file.width);
+  const imageVariants = [];
 
-  if (error) {
-    console.error("Supabase delete error:", error);
-    throw new Error("Failed to delete file from Supabase");
+  for (const variant of variants) {
+    const key = `variants/${baseKey}-${variant.width}.${variant.extension}`;
+    await storage.put(key, variant.buffer, variant.contentType);
+    imageVariants.push({ width: variant.width, format: variant.format, key });
   }
+
+  return { image, imageVariants };
 };
 
-const authenticateToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
+// URL publik untuk key file, lewat CDN jika STORAGE_CDN_URL diisi
+const getFileUrl = (key) => {
+  if (!key || isExternalFile(key)) return key;
 
-  if (!token) {
-    return res.status(401).json({ error: "Access denied" });
+  if (process.env.STORAGE_CDN_URL) {
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${process.env.STORAGE_CDN_URL.replace(/\/$/, "")}/${encodedKey}`;
   }
 
-  try {
-    const decoded = jwt.verify(token, SECRET_KEY);
+  return storage.getUrl(key);
+};
 
-    // Periksa waktu kedaluwarsa
-    if (decoded.exp * 1000 < Date.now()) {
-      return res
-        .status(403)
-        .json({ error: "Token expired, please log in again" });
+// Ganti key file pada record (atau daftar record) dengan URL publiknya.
+// File di relasi ditulis sebagai objek, mis. ["image", { media: ["file"] }]
+const withFileUrls = (records, fields = ["image"]) => {
+  if (Array.isArray(records)) {
+    return records.map((record) => withFileUrls(record, fields));
+  }
+  if (!records) return records;
+
+  const result = { ...records };
+  for (const field of fields) {
+    if (typeof field === "object") {
+      for (const [relation, relationFields] of Object.entries(field)) {
+        result[relation] = withFileUrls(result[relation], relationFields);
+      }
+    } else {
+      result[field] = getFileUrl(result[field]);
     }
+  }
 
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(403).json({ error: "Invalid token" });
+  // Varian gambar dikirim sebagai string srcset per format, mis.
+  // { webp: "https://.../foto-320.webp 320w, https://.../foto-640.webp 640w" }
+  if ("imageVariants" in result) {
+    const srcset = {};
+    for (const variant of result.imageVariants || []) {
+      srcset[variant.format] = [
+        srcset[variant.format],
+        `${getFileUrl(variant.key)} ${variant.width}w`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+    }
+    result.imageVariants = srcset;
   }
+  return result;
 };
 
-app.get("/api/admin/secure-data", authenticateToken, async (req, res) => {
-  res.json({ message: "This is secured data for admin" });
-});
+// Hapus file dari storage
+const deleteFile = async (key) => {
+  if (isExternalFile(key)) return;
 
-// Login admin
-app.post("/admin/login", async (req, res) => {
-  const { username, password } = req.body;
+  console.log("File Path to be deleted:", key);
+  await storage.delete(key);
+};
 
-  try {
-    const admin = await prisma.admin.findUnique({
-      where: { username },
-    });
+// Hapus gambar beserta semua variannya
+const deleteImage = async (key, imageVariants) => {
+  await deleteFile(key);
+  for (const variant of imageVariants || []) {
+    await deleteFile(variant.key);
+  }
+};
 
-    if (!admin) {
-      return res.status(401).json({ error: "Invalid username or password" });
-    }
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
 
-    const isValidPassword = await bcrypt.compare(password, admin.password);
+const badRequest = (message) =>
+  Object.assign(new Error(message), { status: 400 });
 
-    if (!isValidPassword) {
-      return res.status(401).json({ error: "Invalid username or password" });
-    }
+// Id dari URL harus bilangan bulat positif yang muat di kolom INTEGER
+const MAX_INT_ID = 2147483647;
+const isValidId = (id) => Number.isInteger(id) && id > 0 && id <= MAX_INT_ID;
 
-    const token = jwt.sign({ id: admin.id }, SECRET_KEY, { expiresIn: "1h" });
-    res.json({ token });
-  } catch (error) {
-    res.status(500).json({ error: "An error occurred during login" });
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`Invalid date for ${name}`);
+  return date;
+};
+
+// Query string untuk semua endpoint daftar:
+//   page, limit               - pagination (limit maksimum LIST_MAX_LIMIT)
+//   sort                      - mis. "-publishedAt,title" ("-" = descending)
+//   <field>                   - filter sesuai options.filters
+//   <range>From / <range>To   - filter tanggal sesuai options.dateRanges
+const parsePagination = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit =
+    query.limit === undefined ? LIST_DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) throw badRequest("Invalid page");
+  if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+    throw badRequest(`limit must be between 1 and ${LIST_MAX_LIMIT}`);
   }
-});
 
-// Endpoint untuk memastikan server berjalan
-app.get("/", (req, res) => {
-  res.send("Backend server is running");
-});
+  return { page, limit };
+};
 
-// Get all news
-app.get("/api/news", async (req, res) => {
-  const news = await prisma.news.findMany();
-  res.json(news);
-});
+const buildListQuery = (query, options) => {
+  const { page, limit } = parsePagination(query);
 
-// Get news by ID
-app.get("/api/news/:id", async (req, res) => {
-  const { id } = req.params;
-  const newsItem = await prisma.news.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(newsItem);
-});
+  const orderBy = String(query.sort || options.defaultSort || "id")
+    .split(",")
+    .filter(Boolean)
+    .map((item) => {
+      const field = item.replace(/^-/, "");
+      if (!options.sortFields.includes(field)) {
+        throw badRequest(`Cannot sort by ${field}`);
+      }
+      return { [field]: item.startsWith("-") ? "desc" : "asc" };
+    });
 
-// Add news with image upload
-app.post("/api/news", upload.single("image"), async (req, res) => {
-  const { title, description, publishedAt } = req.body;
+  const where = {};
+  for (const [field, mode] of Object.entries(options.filters || {})) {
+    if (query[field] === undefined || query[field] === "") continue;
+    where[field] =
+      mode === "contains"
+        ? { contains: String(query[field]), mode: "insensitive" }
+        : String(query[field]);
+  }
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+  for (const [name, field] of Object.entries(options.dateRanges || {})) {
+    const from = query[`${name}From`];
+    const to = query[`${name}To`];
+    if (!from && !to) continue;
 
-    const newNews = await prisma.news.create({
-      data: {
-        title,
-        description,
-        image,
-        publishedAt: new Date(publishedAt),
-      },
-    });
-    res.json(newNews);
-  } catch (error) {
-    console.error("Error creating news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create news", details: error.message });
+    where[field] = {};
+    if (from) where[field].gte = parseDateParam(from, `${name}From`);
+    if (to) where[field].lte = parseDateParam(to, `${name}To`);
   }
-});
 
-// Endpoint to update news with image upload
-app.put("/api/news/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title, description, publishedAt } = req.body;
+  return { page, limit, orderBy, where };
+};
 
+// Handler GET daftar dengan pagination, sorting, dan filter yang seragam.
+// options.where(req) bisa menambahkan syarat, mis. hanya konten yang terbit.
+// Respons: { data: [...], pagination: { page, limit, total, totalPages } }
+const listHandler = (model, options) => async (req, res) => {
   try {
-    // Ambil data berita lama
-    const existingNews = await prisma.news.findUnique({
-      where: { id: parseInt(id) },
+    const listQuery = buildListQuery(req.query, options);
+    const { page, limit, orderBy } = listQuery;
+    const where = options.where
+      ? { AND: [listQuery.where, options.where(req)] }
+      : listQuery.where;
+
+    const [items, total] = await prisma.$transaction([
+      prisma[model].findMany({
+        where,
+        orderBy,
+        skip: (page - 1) * limit,
+        take: limit,
+        select: options.select,
+        include: options.include,
+      }),
+      prisma[model].count({ where }),
+    ]);
+
+    res.json({
+      data: withFileUrls(items, options.fileFields || []),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
     });
-
-    if (!existingNews) {
-      return res.status(404).json({ error: "News not found" });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
     }
+    console.error(`Error fetching ${model} list:`, error);
+    res.status(500).json({ error: `Failed to fetch ${model} list` });
+  }
+};
 
-    // Jika ada file baru, upload dan hapus file lama dari Supabase
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+// Urutan baru berupa daftar id yang harus berisi tepat semua id yang ada.
+// Mengembalikan id dalam bentuk angka, atau null jika tidak lengkap.
+const parseIdOrder = (ids, currentIds) => {
+  if (!Array.isArray(ids)) return null;
+
+  const requestedIds = ids.map((id) => parseInt(id));
+  const sortedIds = (list) => [...list].sort((a, b) => a - b).join();
+  return requestedIds.length === currentIds.length &&
+    sortedIds(requestedIds) === sortedIds(currentIds)
+    ? requestedIds
+    : null;
+};
 
-      if (existingNews.image) {
-        await deleteFromSupabase(existingNews.image);
-      }
+const isValidRichTextFormat = (format) =>
+  format === undefined || RICH_TEXT_FORMATS.includes(format);
+
+// Data rich text untuk disimpan: HTML tersanitasi di kolom utama, sumber
+// asli dan formatnya, serta cuplikan teks polos untuk tampilan daftar.
+// Format dikirim sebagai <kolom>Format, mis. descriptionFormat=markdown.
+const richTextData = (model, body) => {
+  const { field, source, format } = RICH_TEXT_FIELDS[model];
+  if (body[field] === undefined) return {};
+
+  const sourceFormat = body[format] || "html";
+  const { html, excerpt } = renderRichText(body[field], sourceFormat);
+  return {
+    [field]: html,
+    [source]: body[field],
+    [format]: sourceFormat,
+    excerpt,
+  };
+};
+
+// Slug unik untuk URL ramah SEO. Jika sudah dipakai record lain (atau
+// masih menjadi redirect milik record lain), tambahkan -2, -3, dst.
+const generateUniqueSlug = async (model, text, excludeId) => {
+  const baseSlug = slugify(text) || model;
+
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? baseSlug : `${baseSlug}-${suffix}`;
+    const [existing, redirect] = await Promise.all([
+      prisma[model].findUnique({ where: { slug } }),
+      prisma.slugRedirect.findUnique({
+        where: { model_oldSlug: { model, oldSlug: slug } },
+      }),
+    ]);
+
+    if (
+      (!existing || existing.id === excludeId) &&
+      (!redirect || redirect.targetId === excludeId)
+    ) {
+      return slug;
     }
+  }
+};
 
-    // Perbarui data berita
-    const updatedNews = await prisma.news.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        description,
-        image: newImage || existingNews.image,
-        publishedAt: new Date(publishedAt),
-      },
+// Slug saat update: slug yang dikirim admin, atau dibuat ulang bila judul
+// berubah. Slug lama disimpan sebagai redirect.
+const updateSlug = async (
+  model,
+  existing,
+  { slug, title },
+  field = "title"
+) => {
+  let newSlug = existing.slug;
+  if (slug) {
+    newSlug = await generateUniqueSlug(model, slug, existing.id);
+  } else if (title && title !== existing[field]) {
+    newSlug = await generateUniqueSlug(model, title, existing.id);
+  }
+
+  if (newSlug !== existing.slug) {
+    // Slug yang dipakai lagi tidak perlu diarahkan ke mana pun
+    await prisma.slugRedirect.deleteMany({
+      where: { model, oldSlug: newSlug },
+    });
+    await prisma.slugRedirect.upsert({
+      where: { model_oldSlug: { model, oldSlug: existing.slug } },
+      create: { model, oldSlug: existing.slug, targetId: existing.id },
+      update: { targetId: existing.id },
     });
-    res.json(updatedNews);
-  } catch (error) {
-    console.error("Error updating news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update news", details: error.message });
   }
-});
 
-// Delete news by ID
-app.delete("/api/news/:id", async (req, res) => {
-  const { id } = req.params;
+  return newSlug;
+};
 
-  try {
-    // Ambil data berita lama
-    const existingNews = await prisma.news.findUnique({
-      where: { id: parseInt(id) },
-    });
+const deleteSlugRedirects = (model, targetId) =>
+  prisma.slugRedirect.deleteMany({ where: { model, targetId } });
 
-    if (!existingNews) {
-      return res.status(404).json({ error: "News not found" });
-    }
+// Handler GET by slug. Slug lama diarahkan (301) ke slug yang sekarang.
+const slugHandler =
+  (
+    model,
+    { basePath, notFound, canView: canViewRecord, fileFields, include }
+  ) =>
+  async (req, res) => {
+    const { slug } = req.params;
+
+    try {
+      const record = await prisma[model].findUnique({
+        where: { slug },
+        include,
+      });
+
+      if (record) {
+        if (canViewRecord && !canViewRecord(req, record)) {
+          return res.status(404).json({ error: notFound });
+        }
+        return res.json(fileFields ? withFileUrls(record, fileFields) : record);
+      }
+
+      const redirect = await prisma.slugRedirect.findUnique({
+        where: { model_oldSlug: { model, oldSlug: slug } },
+      });
+      const target =
+        redirect &&
+        (await prisma[model].findUnique({ where: { id: redirect.targetId } }));
+
+      // Slug baru dari konten yang belum terbit tidak boleh bocor lewat
+      // redirect slug lama
+      if (!target || (canViewRecord && !canViewRecord(req, target))) {
+        return res.status(404).json({ error: notFound });
+      }
 
-    // Hapus file terkait dari Supabase jika ada
-    if (existingNews.image) {
-      await deleteFromSupabase(existingNews.image);
+      const query = new URLSearchParams(req.query).toString();
+      res.redirect(
+        301,
+        `${basePath}/${encodeURIComponent(target.slug)}${
+          query ? `?${query}` : ""
+        }`
+      );
+    } catch (error) {
+      console.error(`Error fetching ${model} by slug:`, error);
+      res.status(500).json({ error: notFound });
     }
+  };
 
-    // Hapus data berita dari database
-    await prisma.news.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
+// Periksa access token. Mengembalikan { user } jika valid, atau
+// { status, error } untuk dikirim ke client. Error database dilempar.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, SECRET_KEY);
   } catch (error) {
-    console.error("Error deleting news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete news", details: error.message });
+    // Periksa waktu kedaluwarsa
+    if (error.name === "TokenExpiredError") {
+      return { status: 403, error: "Token expired, please log in again" };
+    }
+    return { status: 403, error: "Invalid token" };
   }
-});
 
-app.post("/api/announcements", async (req, res) => {
-  const { title, description, publishedDate } = req.body;
+  // Token challenge 2FA tidak boleh dipakai sebagai access token
+  if (decoded.purpose) {
+    return { status: 403, error: "Invalid token" };
+  }
 
-  // Validate date format
-  if (
-    !title ||
-    !description ||
-    !publishedDate ||
-    isNaN(new Date(publishedDate).getTime())
-  ) {
-    return res.status(400).json({ error: "Invalid or missing fields" });
+  // Pastikan akun masih ada dan aktif, role diambil dari database
+  // supaya perubahan role langsung berlaku
+  const admin = await prisma.admin.findUnique({
+    where: { id: decoded.id },
+  });
+
+  if (!admin || !admin.isActive) {
+    return { status: 403, error: "Invalid token" };
+  }
+
+  return {
+    user: {
+      ...decoded,
+      role: admin.role,
+      mustChangePassword: admin.mustChangePassword,
+    },
+  };
+};
+
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+
+  if (!token) {
+    return res.status(401).json({ error: "Access denied" });
   }
 
   try {
-    const newAnnouncement = await prisma.announcement.create({
-      data: {
-        title,
-        description,
-        publishedDate: new Date(publishedDate),
-      },
-    });
-    res.json(newAnnouncement);
+    const { user, status, error } = await verifyAccessToken(token);
+    if (!user) {
+      return res.status(status).json({ error });
+    }
+
+    req.user = user;
+    next();
   } catch (error) {
-    console.error("Failed to create announcement:", error);
-    res.status(500).send("Error creating announcement");
+    console.error("Error authenticating token:", error);
+    res.status(500).json({ error: "Failed to authenticate token" });
   }
-});
+};
 
-// Update announcement by ID
-app.put("/api/announcements/:id", async (req, res) => {
-  const { id } = req.params;
-  const { title, description, publishedDate } = req.body;
+// Role admin dan resource yang boleh mereka kelola
+const ROLES = {
+  SUPERADMIN: "superadmin",
+  EDITOR: "editor",
+  HUMAS: "humas",
+};
 
-  if (!title || !description || !publishedDate) {
-    return res.status(400).json({ error: "Missing required fields" });
+const PERMISSIONS = {
+  news: [ROLES.SUPERADMIN, ROLES.EDITOR, ROLES.HUMAS],
+  categories: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  announcements: [ROLES.SUPERADMIN, ROLES.EDITOR, ROLES.HUMAS],
+  galeri: [ROLES.SUPERADMIN, ROLES.EDITOR, ROLES.HUMAS],
+  extracurriculars: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  alumni: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  sarana: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  kalender: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  hero: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  headmasterMessage: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  sejarah: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  strukturOrganisasi: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  staffAndTeachers: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  kelas: [ROLES.SUPERADMIN, ROLES.EDITOR],
+  contacts: [ROLES.SUPERADMIN, ROLES.HUMAS],
+  schoolInfo: [ROLES.SUPERADMIN],
+  visiMisi: [ROLES.SUPERADMIN],
+  admins: [ROLES.SUPERADMIN],
+  storage: [ROLES.SUPERADMIN],
+};
+
+// Pastikan role admin yang login boleh mengelola resource tersebut.
+// Harus dipasang setelah authenticateToken.
+const authorize = (resource) => (req, res, next) => {
+  const allowedRoles = PERMISSIONS[resource] || [];
+
+  if (!req.user || !allowedRoles.includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "You do not have permission to perform this action" });
   }
 
-  let parsedDate = null;
-  if (publishedDate && !isNaN(new Date(publishedDate).getTime())) {
-    parsedDate = new Date(publishedDate);
+  // Admin baru wajib mengganti password sebelum bisa mengelola konten
+  if (req.user.mustChangePassword) {
+    return res
+      .status(403)
+      .json({ error: "Password change required before continuing" });
   }
 
+  next();
+};
+
+// Sama seperti authenticateToken, tetapi request tanpa token atau dengan
+// token yang tidak valid tetap diteruskan sebagai pengunjung publik
+const authenticateOptional = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+
+  // mis. token kedaluwarsa yang masih tersimpan di browser
   try {
-    const updatedAnnouncement = await prisma.announcement.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        description,
-        publishedDate: parsedDate,
-      },
-    });
-    res.json(updatedAnnouncement);
+    const { user } = await verifyAccessToken(token);
+    if (user) req.user = user;
   } catch (error) {
-    console.error("Failed to update announcement:", error);
-    res.status(500).json({ error: "Error updating announcement" });
+    console.error("Error authenticating optional token:", error);
   }
-});
+  next();
+};
 
-// Get all announcements
-app.get("/api/announcements", async (req, res) => {
-  const announcements = await prisma.announcement.findMany();
-  res.json(announcements);
+const canManage = (req, resource) =>
+  Boolean(req.user && PERMISSIONS[resource].includes(req.user.role));
+
+// Status publikasi berita dan pengumuman. Konten hanya tampil untuk publik
+// jika statusnya scheduled/published dan waktu terbitnya sudah lewat.
+const PUBLICATION_STATUSES = ["draft", "scheduled", "published", "archived"];
+const PUBLIC_STATUSES = ["scheduled", "published"];
+const PREVIEW_TOKEN_EXPIRES_IN = "24h";
+
+const isValidPublicationStatus = (status) =>
+  status === undefined || PUBLICATION_STATUSES.includes(status);
+
+// Status default jika tidak dikirim: terjadwal bila tanggal terbit di masa depan
+const defaultPublicationStatus = (publishDate) =>
+  publishDate > new Date() ? "scheduled" : "published";
+
+const publishedWhere = (dateField) => ({
+  status: { in: PUBLIC_STATUSES },
+  [dateField]: { lte: new Date() },
 });
 
-// Get announcement by ID
-app.get("/api/announcements/:id", async (req, res) => {
-  const { id } = req.params;
-  const announcement = await prisma.announcement.findUnique({
-    where: { id: parseInt(id) },
+const isPublished = (record, dateField) =>
+  PUBLIC_STATUSES.includes(record.status) && record[dateField] <= new Date();
+
+// Filter daftar: publik hanya melihat konten terbit, admin melihat semua
+// dan bisa memfilter dengan ?status=draft
+const publicationWhere = (resource, dateField) => (req) => {
+  if (!canManage(req, resource)) return publishedWhere(dateField);
+
+  const { status } = req.query;
+  if (!status) return {};
+  if (!PUBLICATION_STATUSES.includes(status))
+    throw badRequest("Invalid status");
+  return { status };
+};
+
+// Token pratinjau untuk membagikan draft tanpa login
+const createPreviewToken = (type, id) =>
+  jwt.sign({ purpose: "preview", type, id }, SECRET_KEY, {
+    expiresIn: PREVIEW_TOKEN_EXPIRES_IN,
   });
-  res.json(announcement);
-});
 
-// Delete announcement by ID
-app.delete("/api/announcements/:id", async (req, res) => {
-  const { id } = req.params;
+const isValidPreviewToken = (token, type, id) => {
+  if (!token) return false;
   try {
-    await prisma.announcement.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
+    const decoded = jwt.verify(String(token), SECRET_KEY);
+    return (
+      decoded.purpose === "preview" &&
+      decoded.type === type &&
+      decoded.id === id
+    );
   } catch (error) {
-    console.error("Failed to delete announcement:", error);
-    res.status(500).send("Error deleting announcement");
+    return false;
   }
+};
+
+const canView = (req, record, resource, dateField) =>
+  isPublished(record, dateField) ||
+  canManage(req, resource) ||
+  isValidPreviewToken(req.query.preview, resource, record.id);
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Kolom admin yang aman dikirim ke client (tanpa hash password)
+const ADMIN_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  isActive: true,
+  mustChangePassword: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+};
+
+const signAdminToken = (admin) =>
+  jwt.sign(
+    {
+      id: admin.id,
+      role: admin.role,
+      mustChangePassword: admin.mustChangePassword,
+    },
+    SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// Refresh token hanya disimpan dalam bentuk hash di database
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash("sha256").update(refreshToken).digest("hex");
+
+const createRefreshToken = async (adminId) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashRefreshToken(refreshToken),
+      adminId,
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+    },
+  });
+
+  return refreshToken;
+};
+
+const revokeRefreshTokens = (adminId) =>
+  prisma.refreshToken.updateMany({
+    where: { adminId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+// Access token + refresh token untuk satu sesi login
+const issueSession = async (admin) => ({
+  token: signAdminToken(admin),
+  refreshToken: await createRefreshToken(admin.id),
 });
 
-// Get Hero
-app.get("/api/hero", async (req, res) => {
-  const hero = await prisma.hero.findFirst();
-  res.json(hero);
+app.get("/api/admin/secure-data", authenticateToken, async (req, res) => {
+  res.json({ message: "This is secured data for admin" });
 });
 
-// Update Hero
-app.put("/api/hero/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { welcomeMessage, description } = req.body;
+// Kode pemulihan 2FA ditampilkan sekali, yang disimpan hanya hash-nya
+const generateRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+  const hashedCodes = await Promise.all(
+    codes.map((code) => bcrypt.hash(code, 10))
+  );
+  return { codes, hashedCodes };
+};
 
-  try {
-    // Ambil data hero lama
-    const existingHero = await prisma.hero.findUnique({
-      where: { id: parseInt(id) },
+// Cek kode TOTP, atau kode pemulihan yang langsung dihapus setelah dipakai
+const verifyTwoFactor = async (admin, { code, recoveryCode }) => {
+  if (code) {
+    return authenticator.verify({
+      token: String(code),
+      secret: admin.twoFactorSecret,
     });
+  }
 
-    if (!existingHero) {
-      return res.status(404).json({ error: "Hero not found" });
+  if (recoveryCode) {
+    const normalizedCode = String(recoveryCode).trim().toLowerCase();
+    for (const hashedCode of admin.twoFactorRecoveryCodes) {
+      if (await bcrypt.compare(normalizedCode, hashedCode)) {
+        await prisma.admin.update({
+          where: { id: admin.id },
+          data: {
+            twoFactorRecoveryCodes: admin.twoFactorRecoveryCodes.filter(
+              (item) => item !== hashedCode
+            ),
+          },
+        });
+        return true;
+      }
     }
+  }
 
-    // Jika ada file baru, upload dan hapus file lama dari Supabase
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+  return false;
+};
 
-      if (existingHero.image) {
-        await deleteFromSupabase(existingHero.image);
-      }
+// Penyimpanan percobaan login di memori proses. Store lain (mis. Redis)
+// cukup menyediakan method get, increment, dan reset yang sama.
+const createMemoryAttemptStore = () => {
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (entry.windowEndsAt < now && (entry.lockedUntil || 0) < now) {
+      entries.delete(key);
+      return null;
     }
+    return entry;
+  };
 
-    // Perbarui data hero
-    const updatedHero = await prisma.hero.update({
-      where: { id: parseInt(id) },
-      data: {
-        welcomeMessage,
-        description,
-        image: newImage || existingHero.image,
-      },
-    });
+  const increment = async (key, { max, windowMs, lockoutMs }) => {
+    const now = Date.now();
+    let entry = await get(key);
 
-    res.json(updatedHero);
-  } catch (error) {
-    console.error("Error updating hero:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update hero", details: error.message });
-  }
+    if (!entry || entry.windowEndsAt < now) {
+      entry = { count: 0, windowEndsAt: now + windowMs, lockedUntil: null };
+    }
+
+    entry.count += 1;
+    if (entry.count >= max) {
+      entry.lockedUntil = now + lockoutMs;
+    }
+
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const reset = async (key) => {
+    entries.delete(key);
+  };
+
+  // Bersihkan entri kedaluwarsa secara berkala agar Map tidak terus membesar
+  setInterval(() => {
+    for (const key of entries.keys()) get(key);
+  }, 60 * 1000).unref();
+
+  return { get, increment, reset };
+};
+
+const loginAttemptStore = createMemoryAttemptStore();
+
+const loginLimits = (max) => ({
+  max,
+  windowMs: LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
 });
 
-// Get all extracurriculars
-app.get("/api/extracurriculars", async (req, res) => {
-  const extracurriculars = await prisma.extracurricular.findMany();
-  res.json(extracurriculars);
+const loginAttemptKeys = (req, username) => ({
+  ip: `ip:${req.ip}`,
+  username: `username:${String(username).toLowerCase()}`,
 });
 
-// Get extracurricular by ID
-app.get("/api/extracurriculars/:id", async (req, res) => {
-  const { id } = req.params;
-  const extracurricular = await prisma.extracurricular.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(extracurricular);
-});
+// Sisa waktu lockout (dalam detik) untuk IP atau username, 0 jika tidak terkunci
+const getLoginLockout = async (req, username) => {
+  const keys = loginAttemptKeys(req, username);
+  const entries = await Promise.all([
+    loginAttemptStore.get(keys.ip),
+    loginAttemptStore.get(keys.username),
+  ]);
 
-// Add extracurricular with image upload
-app.post("/api/extracurriculars", upload.single("image"), async (req, res) => {
-  const { name, description } = req.body;
+  const lockedUntil = Math.max(
+    ...entries.map((entry) => entry?.lockedUntil || 0)
+  );
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+};
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+const recordFailedLogin = async (req, username, reason) => {
+  const keys = loginAttemptKeys(req, username);
+  await Promise.all([
+    loginAttemptStore.increment(
+      keys.ip,
+      loginLimits(LOGIN_MAX_ATTEMPTS_PER_IP)
+    ),
+    loginAttemptStore.increment(
+      keys.username,
+      loginLimits(LOGIN_MAX_ATTEMPTS_PER_USERNAME)
+    ),
+  ]);
 
-    const newExtracurricular = await prisma.extracurricular.create({
+  try {
+    await prisma.loginAttempt.create({
       data: {
-        name,
-        description,
-        image,
+        username: String(username),
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"] || null,
+        reason,
       },
     });
-    res.json(newExtracurricular);
   } catch (error) {
-    console.error("Error creating extracurricular:", error);
-    res
-      .status(500)
-      .json({
-        error: "Failed to create extracurricular",
-        details: error.message,
-      });
+    // Gagal mencatat tidak boleh menggagalkan proses login
+    console.error("Error recording failed login:", error);
   }
-});
+};
 
-// Update extracurricular with image upload
-app.put(
-  "/api/extracurriculars/:id",
-  upload.single("image"),
-  async (req, res) => {
-    const { id } = req.params;
-    const { name, description } = req.body;
+const resetLoginAttempts = (req, username) =>
+  loginAttemptStore.reset(loginAttemptKeys(req, username).username);
 
-    try {
-      // Ambil data lama
-      const existingExtracurricular = await prisma.extracurricular.findUnique({
-        where: { id: parseInt(id) },
-      });
+const sendTooManyAttempts = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many login attempts, please try again later",
+    retryAfter,
+  });
+};
 
-      if (!existingExtracurricular) {
-        return res.status(404).json({ error: "Extracurricular not found" });
-      }
+// Login admin
+app.post("/admin/login", async (req, res) => {
+  const { username, password } = req.body;
 
-      // Jika ada file baru, upload dan hapus file lama
-      let newImage = null;
-      if (req.file) {
-        newImage = await uploadToSupabase(req.file);
+  if (!username || !password) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
 
-        if (existingExtracurricular.image) {
-          await deleteFromSupabase(existingExtracurricular.image);
-        }
-      }
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res
+      .status(400)
+      .json({ error: "username and password must be strings" });
+  }
 
-      // Perbarui data
-      const updatedExtracurricular = await prisma.extracurricular.update({
-        where: { id: parseInt(id) },
-        data: {
-          name,
-          description,
-          image: newImage || existingExtracurricular.image,
-        },
-      });
+  try {
+    const retryAfter = await getLoginLockout(req, username);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
 
-      res.json(updatedExtracurricular);
-    } catch (error) {
-      console.error("Error updating extracurricular:", error);
-      res
-        .status(500)
-        .json({
-          error: "Failed to update extracurricular",
-          details: error.message,
-        });
+    const admin = await prisma.admin.findUnique({
+      where: { username },
+    });
+
+    if (!admin) {
+      await recordFailedLogin(req, username, "unknown_username");
+      return res.status(401).json({ error: "Invalid username or password" });
     }
-  }
-);
 
-// Delete extracurricular by ID
-app.delete("/api/extracurriculars/:id", async (req, res) => {
-  const { id } = req.params;
+    const isValidPassword = await bcrypt.compare(password, admin.password);
 
-  try {
-    // Ambil data lama
-    const existingExtracurricular = await prisma.extracurricular.findUnique({
-      where: { id: parseInt(id) },
-    });
+    if (!isValidPassword) {
+      await recordFailedLogin(req, username, "invalid_password");
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
 
-    if (!existingExtracurricular) {
-      return res.status(404).json({ error: "Extracurricular not found" });
+    if (!admin.isActive) {
+      return res.status(403).json({ error: "This account has been disabled" });
     }
 
-    // Hapus file terkait dari Supabase jika ada
-    if (existingExtracurricular.image) {
-      await deleteFromSupabase(existingExtracurricular.image);
+    // Dengan 2FA aktif, JWT baru diberikan setelah kode diverifikasi.
+    // Hitungan percobaan gagal tidak direset agar kode tidak bisa ditebak.
+    if (admin.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { id: admin.id, purpose: "2fa" },
+        SECRET_KEY,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+      );
+      return res.json({ twoFactorRequired: true, challengeToken });
     }
 
-    // Hapus data dari database
-    await prisma.extracurricular.delete({
-      where: { id: parseInt(id) },
-    });
+    await resetLoginAttempts(req, username);
 
-    res.status(204).send();
+    const session = await issueSession(admin);
+    res.json({ ...session, mustChangePassword: admin.mustChangePassword });
   } catch (error) {
-    console.error("Error deleting extracurricular:", error);
-    res
-      .status(500)
-      .json({
-        error: "Failed to delete extracurricular",
-        details: error.message,
-      });
+    res.status(500).json({ error: "An error occurred during login" });
   }
 });
 
-// Get Kalender
-app.get("/api/kalender", async (req, res) => {
-  const kalender = await prisma.kalender.findMany();
-  res.json(kalender);
-});
+// Langkah kedua login untuk admin dengan 2FA aktif
+app.post("/admin/login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
 
-// Update Kalender
-app.put("/api/kalender/:id", upload.single("file"), async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, SECRET_KEY);
+  } catch (error) {
+    return res
+      .status(401)
+      .json({ error: "Login challenge expired, please log in again" });
+  }
+
+  if (decoded.purpose !== "2fa") {
+    return res.status(401).json({ error: "Invalid login challenge" });
+  }
 
   try {
-    // Get the existing kalender data
-    const existingKalender = await prisma.kalender.findUnique({
-      where: { id: parseInt(id) },
+    const admin = await prisma.admin.findUnique({
+      where: { id: decoded.id },
     });
 
-    if (!existingKalender) {
-      return res.status(404).json({ error: "Kalender event not found" });
+    if (!admin || !admin.isActive || !admin.twoFactorEnabled) {
+      return res.status(401).json({ error: "Invalid login challenge" });
     }
 
-    let newFile = existingKalender.file;
+    const retryAfter = await getLoginLockout(req, admin.username);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
 
-    // If there's a new file, upload it and delete the old file from Supabase
-    if (req.file) {
-      newFile = await uploadToSupabase(req.file);
+    const isValidCode = await verifyTwoFactor(admin, { code, recoveryCode });
 
-      // Delete the old file from Supabase
-      if (existingKalender.file) {
-        await deleteFromSupabase(existingKalender.file);
-      }
+    if (!isValidCode) {
+      await recordFailedLogin(req, admin.username, "invalid_2fa_code");
+      return res.status(401).json({ error: "Invalid authentication code" });
     }
 
-    // Update the kalender record
-    const updatedKalender = await prisma.kalender.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        file: newFile, // Set the new file URL or keep the old one
-      },
-    });
+    await resetLoginAttempts(req, admin.username);
 
-    res.json(updatedKalender);
+    const session = await issueSession(admin);
+    res.json({ ...session, mustChangePassword: admin.mustChangePassword });
   } catch (error) {
-    console.error("Error updating kalender:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update kalender", details: error.message });
+    console.error("Error verifying 2FA login:", error);
+    res.status(500).json({ error: "An error occurred during login" });
   }
 });
 
-// Get all alumni
-app.get("/api/alumni", async (req, res) => {
-  const alumni = await prisma.alumni.findMany();
-  res.json(alumni);
-});
-
-// Get alumni by ID
-app.get("/api/alumni/:id", async (req, res) => {
-  const { id } = req.params;
-  const alumniItem = await prisma.alumni.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(alumniItem);
-});
-
-// Add alumni with image upload
-app.post("/api/alumni", upload.single("image"), async (req, res) => {
-  const { title, description } = req.body;
-
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+// Tukar refresh token dengan access token baru (refresh token dirotasi)
+app.post("/admin/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
 
-    const newAlumni = await prisma.alumni.create({
-      data: {
-        title,
-        description,
-        image,
-      },
-    });
-    res.json(newAlumni);
-  } catch (error) {
-    console.error("Error creating alumni:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create alumni", details: error.message });
+  if (!refreshToken) {
+    return res.status(400).json({ error: "Refresh token is required" });
   }
-});
-
-// Update alumni with image upload
-app.put("/api/alumni/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title, description } = req.body;
 
   try {
-    // Ambil data alumni lama
-    const existingAlumni = await prisma.alumni.findUnique({
-      where: { id: parseInt(id) },
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashRefreshToken(refreshToken) },
+      include: { admin: true },
     });
 
-    if (!existingAlumni) {
-      return res.status(404).json({ error: "Alumni not found" });
+    if (!storedToken) {
+      return res.status(401).json({ error: "Invalid refresh token" });
     }
 
-    // Jika ada file baru, upload dan hapus file lama dari Supabase
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+    // Token yang sudah dirotasi dipakai lagi: kemungkinan bocor,
+    // cabut semua sesi milik admin tersebut
+    if (storedToken.revokedAt) {
+      await revokeRefreshTokens(storedToken.adminId);
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
 
-      if (existingAlumni.image) {
-        await deleteFromSupabase(existingAlumni.image);
-      }
+    if (storedToken.expiresAt < new Date()) {
+      return res
+        .status(401)
+        .json({ error: "Refresh token expired, please log in again" });
     }
 
-    // Perbarui data alumni
-    const updatedAlumni = await prisma.alumni.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        description,
-        image: newImage || existingAlumni.image,
-      },
+    if (!storedToken.admin.isActive) {
+      await revokeRefreshTokens(storedToken.adminId);
+      return res.status(403).json({ error: "This account has been disabled" });
+    }
+
+    await prisma.refreshToken.update({
+      where: { id: storedToken.id },
+      data: { revokedAt: new Date() },
     });
-    res.json(updatedAlumni);
+
+    const session = await issueSession(storedToken.admin);
+    res.json(session);
   } catch (error) {
-    console.error("Error updating alumni:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update alumni", details: error.message });
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ error: "Failed to refresh token" });
   }
 });
 
-// Delete alumni by ID
-app.delete("/api/alumni/:id", async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    // Ambil data alumni lama
-    const existingAlumni = await prisma.alumni.findUnique({
-      where: { id: parseInt(id) },
-    });
-
-    if (!existingAlumni) {
-      return res.status(404).json({ error: "Alumni not found" });
-    }
+// Logout: cabut refresh token sehingga sesi tidak bisa diperpanjang
+app.post("/admin/logout", async (req, res) => {
+  const { refreshToken } = req.body;
 
-    // Hapus file terkait dari Supabase jika ada
-    if (existingAlumni.image) {
-      await deleteFromSupabase(existingAlumni.image);
-    }
+  if (!refreshToken) {
+    return res.status(400).json({ error: "Refresh token is required" });
+  }
 
-    // Hapus data alumni dari database
-    await prisma.alumni.delete({
-      where: { id: parseInt(id) },
+  try {
+    await prisma.refreshToken.updateMany({
+      where: { tokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+      data: { revokedAt: new Date() },
     });
     res.status(204).send();
   } catch (error) {
-    console.error("Error deleting alumni:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete alumni", details: error.message });
+    console.error("Error logging out:", error);
+    res.status(500).json({ error: "Failed to log out" });
   }
 });
 
-// Get all galeri
-app.get("/api/galeri", async (req, res) => {
-  const galeri = await prisma.galeri.findMany();
-  res.json(galeri);
-});
+// Ganti password admin yang sedang login
+app.put("/api/admin/password", authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-// Get galeri by ID
-app.get("/api/galeri/:id", async (req, res) => {
-  const { id } = req.params;
-  const galeriItem = await prisma.galeri.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(galeriItem);
-});
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
 
-// Add galeri with image upload
-app.post("/api/galeri", upload.single("image"), async (req, res) => {
-  const { title } = req.body;
+  if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+    return res.status(400).json({ error: "Passwords must be strings" });
+  }
+
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
 
   try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (!admin) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
+
+    const isValidPassword = await bcrypt.compare(
+      currentPassword,
+      admin.password
+    );
 
-    const newGaleri = await prisma.galeri.create({
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const updatedAdmin = await prisma.admin.update({
+      where: { id: admin.id },
       data: {
-        title,
-        image,
+        password: await bcrypt.hash(newPassword, 10),
+        mustChangePassword: false,
       },
     });
-    res.json(newGaleri);
+
+    // Sesi lain ikut dicabut, lalu kirim sesi baru karena token lama
+    // masih membawa mustChangePassword
+    await revokeRefreshTokens(admin.id);
+    const session = await issueSession(updatedAdmin);
+    res.json(session);
   } catch (error) {
-    console.error("Error creating galeri:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create galeri", details: error.message });
+    console.error("Error changing password:", error);
+    res.status(500).json({ error: "Failed to change password" });
   }
 });
 
-// Update galeri with image upload
-app.put("/api/galeri/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
-
+// Mulai pendaftaran 2FA: buat secret baru dan URI otpauth untuk QR code
+app.post("/api/admin/2fa/setup", authenticateToken, async (req, res) => {
   try {
-    // Fetch existing galeri
-    const existingGaleri = await prisma.galeri.findUnique({
-      where: { id: parseInt(id) },
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.user.id },
     });
 
-    if (!existingGaleri) {
-      return res.status(404).json({ error: "Galeri not found" });
-    }
-
-    // Handle new image upload and delete old file
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
-
-      if (existingGaleri.image) {
-        await deleteFromSupabase(existingGaleri.image);
-      }
+    if (admin.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
     }
 
-    // Update galeri data
-    const updatedGaleri = await prisma.galeri.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        image: newImage || existingGaleri.image,
-      },
+    const secret = authenticator.generateSecret();
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorSecret: secret },
     });
 
-    res.json(updatedGaleri);
+    res.json({
+      secret,
+      otpauthUrl: authenticator.keyuri(
+        admin.username,
+        TWO_FACTOR_ISSUER,
+        secret
+      ),
+    });
   } catch (error) {
-    console.error("Error updating galeri:", error);
+    console.error("Error setting up 2FA:", error);
     res
       .status(500)
-      .json({ error: "Failed to update galeri", details: error.message });
+      .json({ error: "Failed to set up two-factor authentication" });
   }
 });
 
-// Delete galeri by ID
-app.delete("/api/galeri/:id", async (req, res) => {
-  const { id } = req.params;
+// Aktifkan 2FA setelah kode pertama dari aplikasi authenticator cocok
+app.post("/api/admin/2fa/enable", authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
 
   try {
-    // Fetch existing galeri
-    const existingGaleri = await prisma.galeri.findUnique({
-      where: { id: parseInt(id) },
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.user.id },
     });
 
-    if (!existingGaleri) {
-      return res.status(404).json({ error: "Galeri not found" });
+    if (admin.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    if (!admin.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication has not been set up" });
     }
 
-    // Delete file from Supabase if exists
-    if (existingGaleri.image) {
-      await deleteFromSupabase(existingGaleri.image);
+    if (!(await verifyTwoFactor(admin, { code }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
     }
 
-    // Delete galeri record from database
-    await prisma.galeri.delete({
-      where: { id: parseInt(id) },
+    const { codes, hashedCodes } = await generateRecoveryCodes();
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorEnabled: true, twoFactorRecoveryCodes: hashedCodes },
     });
 
-    res.status(204).send();
+    res.json({ recoveryCodes: codes });
   } catch (error) {
-    console.error("Error deleting galeri:", error);
+    console.error("Error enabling 2FA:", error);
     res
       .status(500)
-      .json({ error: "Failed to delete galeri", details: error.message });
+      .json({ error: "Failed to enable two-factor authentication" });
   }
 });
 
-// Get all sarana
-app.get("/api/sarana", async (req, res) => {
-  const sarana = await prisma.sarana.findMany();
-  res.json(sarana);
-});
+// Buat ulang kode pemulihan (kode lama tidak berlaku lagi)
+app.post(
+  "/api/admin/2fa/recovery-codes",
+  authenticateToken,
+  async (req, res) => {
+    const { code } = req.body;
 
-// Get sarana by ID
-app.get("/api/sarana/:id", async (req, res) => {
-  const { id } = req.params;
-  const saranaItem = await prisma.sarana.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(saranaItem);
-});
+    try {
+      const admin = await prisma.admin.findUnique({
+        where: { id: req.user.id },
+      });
 
-// Add sarana with image upload
-app.post("/api/sarana", upload.single("image"), async (req, res) => {
-  const { name, description } = req.body;
+      if (!admin.twoFactorEnabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+      if (!code || !(await verifyTwoFactor(admin, { code }))) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
 
-    const newSarana = await prisma.sarana.create({
-      data: {
-        name,
-        description,
-        image,
-      },
-    });
-    res.json(newSarana);
-  } catch (error) {
-    console.error("Error creating sarana:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create sarana", details: error.message });
+      const { codes, hashedCodes } = await generateRecoveryCodes();
+      await prisma.admin.update({
+        where: { id: admin.id },
+        data: { twoFactorRecoveryCodes: hashedCodes },
+      });
+
+      res.json({ recoveryCodes: codes });
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      res.status(500).json({ error: "Failed to regenerate recovery codes" });
+    }
   }
-});
+);
 
-// Update sarana with image upload
-app.put("/api/sarana/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { name, description } = req.body;
+// Nonaktifkan 2FA milik sendiri, butuh password dan kode
+app.post("/api/admin/2fa/disable", authenticateToken, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
 
   try {
-    // Ambil data sarana lama
-    const existingSarana = await prisma.sarana.findUnique({
-      where: { id: parseInt(id) },
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.user.id },
     });
 
-    if (!existingSarana) {
-      return res.status(404).json({ error: "Sarana not found" });
+    if (!admin.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
     }
 
-    // Jika ada file baru, upload dan hapus file lama dari Supabase
-    let newImage = null;
-    if (req.file) {
-      // Unggah file baru
-      newImage = await uploadToSupabase(req.file);
+    const isValidPassword = await bcrypt.compare(password, admin.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
 
-      // Hapus file lama jika ada
-      if (existingSarana.image) {
-        await deleteFromSupabase(existingSarana.image);
-      }
+    if (!(await verifyTwoFactor(admin, { code, recoveryCode }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
     }
 
-    // Perbarui data sarana
-    const updatedSarana = await prisma.sarana.update({
-      where: { id: parseInt(id) },
+    await prisma.admin.update({
+      where: { id: admin.id },
       data: {
-        name,
-        description,
-        image: newImage || existingSarana.image, // Gunakan gambar baru atau gambar lama
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
       },
     });
-    res.json(updatedSarana);
+
+    res.status(204).send();
   } catch (error) {
-    console.error("Error updating sarana:", error);
+    console.error("Error disabling 2FA:", error);
     res
       .status(500)
-      .json({ error: "Failed to update sarana", details: error.message });
+      .json({ error: "Failed to disable two-factor authentication" });
   }
 });
 
-// Delete sarana by ID
-app.delete("/api/sarana/:id", async (req, res) => {
-  const { id } = req.params;
+// Riwayat login gagal untuk dipantau superadmin
+app.get(
+  "/api/admin/login-attempts",
+  authenticateToken,
+  authorize("admins"),
+  listHandler("loginAttempt", {
+    sortFields: ["createdAt", "username", "ipAddress"],
+    defaultSort: "-createdAt",
+    filters: { username: "equals", ipAddress: "equals", reason: "equals" },
+    dateRanges: { created: "createdAt" },
+  })
+);
 
-  try {
-    // Ambil data sarana lama
-    const existingSarana = await prisma.sarana.findUnique({
-      where: { id: parseInt(id) },
-    });
+// Cocokkan isi storage dengan database: laporkan file yatim (orphan) dan
+// file yang hilang, opsional hapus orphan yang melewati masa tenggang
+app.post(
+  "/api/admin/storage/reconcile",
+  authenticateToken,
+  authorize("storage"),
+  async (req, res) => {
+    const { deleteOrphans = false, graceHours = 24 } = req.body;
+
+    if (isNaN(parseFloat(graceHours)) || parseFloat(graceHours) < 0) {
+      return res.status(400).json({ error: "Invalid graceHours" });
+    }
+
+    try {
+      const report = await reconcileStorage({
+        prisma,
+        storage,
+        deleteOrphans: deleteOrphans === true,
+        graceHours: parseFloat(graceHours),
+      });
+      res.json(report);
+    } catch (error) {
+      console.error("Error reconciling storage:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to reconcile storage", details: error.message });
+    }
+  }
+);
+
+// Get all admins
+app.get(
+  "/api/admins",
+  authenticateToken,
+  authorize("admins"),
+  listHandler("admin", {
+    sortFields: ["id", "username", "role", "createdAt"],
+    filters: { username: "contains", role: "equals" },
+    select: ADMIN_SELECT,
+  })
+);
+
+// Create a new admin account
+app.post(
+  "/api/admins",
+  authenticateToken,
+  authorize("admins"),
+  async (req, res) => {
+    const { username, password, role = ROLES.EDITOR } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .json({ error: "username and password must be strings" });
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const existingAdmin = await prisma.admin.findUnique({
+        where: { username },
+      });
+
+      if (existingAdmin) {
+        return res.status(409).json({ error: "Username is already taken" });
+      }
+
+      // Password awal dibuat oleh superadmin, jadi wajib diganti saat login
+      const newAdmin = await prisma.admin.create({
+        data: {
+          username,
+          password: await bcrypt.hash(password, 10),
+          role,
+          mustChangePassword: true,
+        },
+        select: ADMIN_SELECT,
+      });
+      res.status(201).json(newAdmin);
+    } catch (error) {
+      console.error("Error creating admin:", error);
+      res.status(500).json({ error: "Failed to create admin" });
+    }
+  }
+);
+
+// Update role, status aktif, atau reset password admin
+app.put(
+  "/api/admins/:id",
+  authenticateToken,
+  authorize("admins"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { role, isActive, password, resetTwoFactor } = req.body;
+    const parsedId = parseInt(id);
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    if (role !== undefined && !Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({ error: "isActive must be a boolean" });
+    }
+
+    if (password !== undefined && typeof password !== "string") {
+      return res.status(400).json({ error: "password must be a string" });
+    }
+
+    if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    // Cegah superadmin mengunci dirinya sendiri
+    if (
+      parsedId === req.user.id &&
+      (isActive === false || (role && role !== ROLES.SUPERADMIN))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "You cannot disable or demote your own account" });
+    }
+
+    try {
+      const existingAdmin = await prisma.admin.findUnique({
+        where: { id: parsedId },
+      });
+
+      if (!existingAdmin) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+
+      const data = { role, isActive };
+      if (password) {
+        data.password = await bcrypt.hash(password, 10);
+        data.mustChangePassword = true;
+      }
+
+      // Untuk admin yang kehilangan HP dan kode pemulihannya
+      if (resetTwoFactor === true) {
+        data.twoFactorEnabled = false;
+        data.twoFactorSecret = null;
+        data.twoFactorRecoveryCodes = [];
+      }
+
+      const updatedAdmin = await prisma.admin.update({
+        where: { id: parsedId },
+        data,
+        select: ADMIN_SELECT,
+      });
+
+      // Akun dinonaktifkan atau password direset: akhiri semua sesinya
+      if (isActive === false || password) {
+        await revokeRefreshTokens(parsedId);
+      }
+
+      res.json(updatedAdmin);
+    } catch (error) {
+      console.error("Error updating admin:", error);
+      res.status(500).json({ error: "Failed to update admin" });
+    }
+  }
+);
+
+// Endpoint untuk memastikan server berjalan
+app.get("/", (req, res) => {
+  res.send("Backend server is running");
+});
+
+// Halaman frontend untuk setiap jenis konten
+const FRONTEND_PATHS = {
+  home: "/",
+  news: "/berita",
+  announcements: "/pengumuman",
+  extracurriculars: "/ekstrakurikuler",
+  galeri: "/galeri",
+  kalender: "/kalender",
+  sejarah: "/sejarah",
+  visiMisi: "/visi-misi",
+  strukturOrganisasi: "/struktur-organisasi",
+};
+
+const FEEDS = {
+  news: {
+    title: `Berita ${SITE_NAME}`,
+    description: `Berita terbaru dari ${SITE_NAME}`,
+    load: async () => {
+      const news = await prisma.news.findMany({
+        where: publishedWhere("publishedAt"),
+        orderBy: { publishedAt: "desc" },
+        take: FEED_ITEM_LIMIT,
+      });
+      return news.map((newsItem) => ({
+        id: `urn:smpn1tamansari:news:${newsItem.id}`,
+        title: newsItem.title,
+        link: `${FRONTEND_URL}${FRONTEND_PATHS.news}/${newsItem.slug}`,
+        description: newsItem.excerpt ?? htmlToText(newsItem.description),
+        date: newsItem.publishedAt,
+        image: newsItem.image && getFileUrl(newsItem.image),
+      }));
+    },
+  },
+  announcements: {
+    title: `Pengumuman ${SITE_NAME}`,
+    description: `Pengumuman terbaru dari ${SITE_NAME}`,
+    load: async () => {
+      const announcements = await prisma.announcement.findMany({
+        where: publishedWhere("publishedDate"),
+        orderBy: { publishedDate: "desc" },
+        take: FEED_ITEM_LIMIT,
+      });
+      return announcements.map((announcement) => ({
+        id: `urn:smpn1tamansari:announcement:${announcement.id}`,
+        title: announcement.title,
+        link: `${FRONTEND_URL}${FRONTEND_PATHS.announcements}/${announcement.slug}`,
+        description: announcement.description,
+        date: announcement.publishedDate,
+      }));
+    },
+  },
+};
+
+const FEED_FORMATS = {
+  xml: { build: buildRssFeed, contentType: "application/rss+xml" },
+  atom: { build: buildAtomFeed, contentType: "application/atom+xml" },
+};
+
+// Feed RSS 2.0 (/feeds/news.xml) dan Atom (/feeds/news.atom) untuk berita
+// dan pengumuman yang sudah terbit. Express membalas 304 sendiri bila
+// If-None-Match/If-Modified-Since dari pembaca feed masih cocok.
+app.get("/feeds/:feed.:format", async (req, res) => {
+  const feed = FEEDS[req.params.feed];
+  const format = FEED_FORMATS[req.params.format];
+
+  if (!feed || !format) {
+    return res.status(404).json({ error: "Feed not found" });
+  }
+
+  try {
+    const items = await feed.load();
+    const lastModified = latestDate(items);
+
+    res.set({
+      "Content-Type": `${format.contentType}; charset=utf-8`,
+      "Cache-Control": `public, max-age=${FEED_CACHE_MAX_AGE}`,
+    });
+    // Feed kosong tidak punya tanggal perubahan yang bisa dikirim
+    if (lastModified) res.set("Last-Modified", lastModified.toUTCString());
+    res.send(
+      format.build({
+        title: feed.title,
+        description: feed.description,
+        link: `${FRONTEND_URL}${FRONTEND_PATHS[req.params.feed]}`,
+        feedUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+        items,
+      })
+    );
+  } catch (error) {
+    console.error("Error generating feed:", error);
+    res.status(500).json({ error: "Failed to generate feed" });
+  }
+});
+
+// Tanggal terakhir diubah; konten terjadwal dianggap berubah saat terbit
+const latestOfDates = (...dates) =>
+  dates
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest));
+
+// Sitemap semua halaman publik di frontend. lastmod halaman daftar dan
+// halaman profil diambil dari record terbaru yang ditampilkannya.
+app.get("/sitemap.xml", async (req, res) => {
+  const latestUpdate = (model) =>
+    prisma[model]
+      .aggregate({ _max: { updatedAt: true } })
+      .then((result) => result._max.updatedAt);
+
+  try {
+    const [
+      news,
+      announcements,
+      extracurriculars,
+      galeriUpdatedAt,
+      kalenderUpdatedAt,
+      sejarahUpdatedAt,
+      visiMisiUpdatedAt,
+      strukturOrganisasiUpdatedAt,
+    ] = await Promise.all([
+      prisma.news.findMany({
+        where: publishedWhere("publishedAt"),
+        select: { slug: true, publishedAt: true, updatedAt: true },
+        orderBy: { publishedAt: "desc" },
+      }),
+      prisma.announcement.findMany({
+        where: publishedWhere("publishedDate"),
+        select: { slug: true, publishedDate: true, updatedAt: true },
+        orderBy: { publishedDate: "desc" },
+      }),
+      prisma.extracurricular.findMany({
+        select: { slug: true, updatedAt: true },
+        orderBy: { id: "asc" },
+      }),
+      latestUpdate("galeri"),
+      latestUpdate("calendarEvent"),
+      latestUpdate("sejarah"),
+      latestUpdate("visiMisi"),
+      latestUpdate("strukturOrganisasi"),
+    ]);
+
+    const newsPages = news.map((newsItem) => ({
+      loc: `${FRONTEND_URL}${FRONTEND_PATHS.news}/${newsItem.slug}`,
+      lastmod: latestOfDates(newsItem.publishedAt, newsItem.updatedAt),
+    }));
+    const announcementPages = announcements.map((announcement) => ({
+      loc: `${FRONTEND_URL}${FRONTEND_PATHS.announcements}/${announcement.slug}`,
+      lastmod: latestOfDates(
+        announcement.publishedDate,
+        announcement.updatedAt
+      ),
+    }));
+    const extracurricularPages = extracurriculars.map((extracurricular) => ({
+      loc: `${FRONTEND_URL}${FRONTEND_PATHS.extracurriculars}/${extracurricular.slug}`,
+      lastmod: extracurricular.updatedAt,
+    }));
+    const latestOf = (pages) =>
+      pages.length > 0
+        ? latestOfDates(...pages.map((page) => page.lastmod))
+        : null;
+
+    const listPages = [
+      { path: FRONTEND_PATHS.news, lastmod: latestOf(newsPages) },
+      {
+        path: FRONTEND_PATHS.announcements,
+        lastmod: latestOf(announcementPages),
+      },
+      {
+        path: FRONTEND_PATHS.extracurriculars,
+        lastmod: latestOf(extracurricularPages),
+      },
+      { path: FRONTEND_PATHS.galeri, lastmod: galeriUpdatedAt },
+      { path: FRONTEND_PATHS.kalender, lastmod: kalenderUpdatedAt },
+      { path: FRONTEND_PATHS.sejarah, lastmod: sejarahUpdatedAt },
+      { path: FRONTEND_PATHS.visiMisi, lastmod: visiMisiUpdatedAt },
+      {
+        path: FRONTEND_PATHS.strukturOrganisasi,
+        lastmod: strukturOrganisasiUpdatedAt,
+      },
+    ];
+    const homePage = {
+      path: FRONTEND_PATHS.home,
+      lastmod: latestOf(listPages.filter((page) => page.lastmod)),
+    };
+
+    res.set({
+      "Content-Type": "application/xml; charset=utf-8",
+      "Cache-Control": `public, max-age=${SITEMAP_CACHE_MAX_AGE}`,
+    });
+    res.send(
+      buildSitemap([
+        ...[homePage, ...listPages].map(({ path, lastmod }) => ({
+          loc: `${FRONTEND_URL}${path}`,
+          lastmod,
+        })),
+        ...newsPages,
+        ...announcementPages,
+        ...extracurricularPages,
+      ])
+    );
+  } catch (error) {
+    console.error("Error generating sitemap:", error);
+    res.status(500).json({ error: "Failed to generate sitemap" });
+  }
+});
+
+// Sumber data pencarian. Ekspresi searchVector harus sama persis dengan
+// index GIN di migration add_search_indexes (News: add_rich_text_fields)
+// agar index-nya terpakai.
+const SEARCH_SOURCES = {
+  news: {
+    table: "News",
+    title: "title",
+    // description berisi HTML, dicari dan dicuplik sebagai teks polos
+    body: `html_to_text("description")`,
+    image: "image",
+    date: "publishedAt",
+    where: `"status" IN ('scheduled', 'published') AND "publishedAt" <= now()`,
+  },
+  announcement: {
+    table: "Announcement",
+    title: "title",
+    body: "description",
+    date: "publishedDate",
+    where: `"status" IN ('scheduled', 'published') AND "publishedDate" <= now()`,
+  },
+  extracurricular: {
+    table: "Extracurricular",
+    title: "name",
+    body: "description",
+    image: "image",
+  },
+  alumni: {
+    table: "Alumni",
+    title: "title",
+    body: "description",
+    image: "image",
+  },
+  galeri: { table: "Galeri", title: "title", image: "image" },
+};
+
+const SEARCH_MAX_QUERY_LENGTH = 200;
+
+// Penanda highlight sementara, diganti <mark> setelah teks di-escape
+const HIGHLIGHT_START = "\u0001";
+const HIGHLIGHT_STOP = "\u0002";
+const SNIPPET_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=25, MinWords=10, FragmentDelimiter=" ... "`;
+const TITLE_HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+
+// Nama kolom diberi tanda kutip, ekspresi SQL (mengandung tanda kurung)
+// dipakai apa adanya
+const searchExpression = (column) =>
+  column.includes("(") ? column : `"${column}"`;
+
+const searchVector = ({ title, body }) => {
+  const titleVector = `setweight(to_tsvector('indonesian', coalesce("${title}", '')), 'A')`;
+  if (!body) return Prisma.raw(titleVector);
+
+  const bodyText = searchExpression(body);
+  return Prisma.raw(
+    `${titleVector} || setweight(to_tsvector('indonesian', coalesce(${bodyText}, '')), 'B')`
+  );
+};
+
+const searchColumn = (column, type) =>
+  Prisma.raw(column ? searchExpression(column) : `NULL::${type}`);
+
+const searchSource = (type, source) => Prisma.sql`
+  SELECT ${type}::text AS "type", "id",
+    ${searchColumn(source.title, "text")} AS "title",
+    ${searchColumn(source.body, "text")} AS "body",
+    ${searchColumn(source.image, "text")} AS "image",
+    ${searchColumn(source.date, "timestamp(3)")} AS "date",
+    ${searchVector(source)} AS "document"
+  FROM ${Prisma.raw(`"${source.table}"`)}
+  WHERE ${searchVector(source)} @@ (SELECT "tsq" FROM "search_query")
+    ${source.where ? Prisma.raw(`AND ${source.where}`) : Prisma.empty}`;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const toHighlightHtml = (text) =>
+  escapeHtml(text || "")
+    .split(HIGHLIGHT_START)
+    .join("<mark>")
+    .split(HIGHLIGHT_STOP)
+    .join("</mark>");
+
+// Pencarian full-text (Postgres, kamus bahasa Indonesia) di berita,
+// pengumuman, ekstrakurikuler, alumni, dan galeri.
+// Query: q, type (mis. "news,announcement"), page, limit
+app.get("/api/search", async (req, res) => {
+  const q = String(req.query.q || "").trim();
+
+  if (!q) {
+    return res.status(400).json({ error: "Search query is required" });
+  }
+  if (q.length > SEARCH_MAX_QUERY_LENGTH) {
+    return res.status(400).json({
+      error: `Search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`,
+    });
+  }
+
+  const types = req.query.type
+    ? String(req.query.type).split(",").filter(Boolean)
+    : Object.keys(SEARCH_SOURCES);
+  const invalidType = types.find((type) => !SEARCH_SOURCES[type]);
+  if (invalidType) {
+    return res
+      .status(400)
+      .json({ error: `Invalid search type: ${invalidType}` });
+  }
+
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const sources = Prisma.join(
+      types.map((type) => searchSource(type, SEARCH_SOURCES[type])),
+      " UNION ALL "
+    );
+    const searchQuery = Prisma.sql`WITH "search_query" AS (
+      SELECT websearch_to_tsquery('indonesian', ${q}) AS "tsq"
+    )`;
+
+    const [results, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`${searchQuery}
+        SELECT r."type", r."id", r."title", r."image", r."date",
+          ts_rank(r."document", sq."tsq") AS "rank",
+          ts_headline('indonesian', r."title", sq."tsq", ${TITLE_HIGHLIGHT_OPTIONS}) AS "titleHighlight",
+          ts_headline('indonesian', coalesce(r."body", ''), sq."tsq", ${SNIPPET_OPTIONS}) AS "snippet"
+        FROM (${sources}) r, "search_query" sq
+        ORDER BY "rank" DESC, r."date" DESC NULLS LAST, r."id" DESC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+      prisma.$queryRaw`${searchQuery}
+        SELECT COUNT(*)::int AS "total" FROM (${sources}) r`,
+    ]);
+
+    res.json({
+      data: results.map((result) => ({
+        type: result.type,
+        id: result.id,
+        title: result.title,
+        titleHighlight: toHighlightHtml(result.titleHighlight),
+        snippet: toHighlightHtml(result.snippet),
+        image: getFileUrl(result.image),
+        date: result.date,
+        rank: result.rank,
+      })),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error searching:", error);
+    res.status(500).json({ error: "Failed to search" });
+  }
+});
+
+// Kategori dan tag yang ikut dikirim bersama berita
+const NEWS_INCLUDE = {
+  category: { select: { id: true, name: true, slug: true } },
+  tags: {
+    select: { id: true, name: true, slug: true },
+    orderBy: { name: "asc" },
+  },
+};
+
+// Halaman detail juga menampilkan semua foto dan lampiran
+const NEWS_DETAIL_INCLUDE = {
+  ...NEWS_INCLUDE,
+  media: { orderBy: { position: "asc" } },
+};
+const NEWS_FILE_FIELDS = ["image", { media: ["file"] }];
+const NEWS_MEDIA_MAX_FILES = parseInt(process.env.NEWS_MEDIA_MAX_FILES || "20");
+
+// Field "image" adalah foto cover, field "media" berisi foto dan PDF
+// tambahan dengan caption di field "captions" (urutan sama dengan file)
+const uploadNewsMedia = uploadMedia.fields([
+  { name: "image", maxCount: 1 },
+  { name: "media", maxCount: NEWS_MEDIA_MAX_FILES },
+]);
+
+const toArray = (value) =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+// Hapus file yang sudah diupload jika request berita gagal
+const discardNewsFiles = async (uploads) => {
+  try {
+    for (const upload of [uploads.cover, ...uploads.media].filter(Boolean)) {
+      await deleteImage(upload.file, upload.imageVariants);
+    }
+  } catch (error) {
+    // File yang tertinggal nanti dibersihkan oleh storage:gc
+    console.error("Error discarding news uploads:", error);
+  }
+};
+
+// Upload file cover dan media dari request ke storage sebelum ada yang
+// disimpan ke database. Jika satu file gagal, file lain dihapus lagi.
+const uploadNewsFiles = async (req) => {
+  const uploads = { cover: null, media: [] };
+  const upload = async (file) => {
+    const isImage = file.mimetype.startsWith("image/");
+    const { image, imageVariants } = isImage
+      ? await uploadImageWithVariants(file)
+      : { image: await uploadFile(file) };
+
+    return {
+      type: isImage ? "image" : "file",
+      file: image,
+      imageVariants,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+    };
+  };
+
+  try {
+    const coverFile = req.files?.image?.[0];
+    if (coverFile) uploads.cover = await upload(coverFile);
+    for (const file of req.files?.media || []) {
+      uploads.media.push(await upload(file));
+    }
+  } catch (error) {
+    await discardNewsFiles(uploads);
+    throw error;
+  }
+
+  return uploads;
+};
+
+// Simpan file yang sudah diupload sebagai media berita, urut mulai dari
+// position
+const createNewsMedia = async (
+  newsId,
+  uploads,
+  captions,
+  position,
+  extraData = {}
+) => {
+  const media = [];
+
+  for (const [index, upload] of uploads.entries()) {
+    media.push(
+      await prisma.newsMedia.create({
+        data: {
+          newsId,
+          ...upload,
+          caption: captions[index] || null,
+          position: position + index,
+          ...extraData,
+        },
+      })
+    );
+  }
+
+  return media;
+};
+
+// Tandai media sebagai cover (atau tanpa cover jika media kosong)
+// dan salin filenya ke News.image
+const setNewsCover = async (newsId, media) => {
+  await prisma.newsMedia.updateMany({
+    where: { newsId, isCover: true },
+    data: { isCover: false },
+  });
+  if (media) {
+    await prisma.newsMedia.update({
+      where: { id: media.id },
+      data: { isCover: true },
+    });
+  }
+
+  await prisma.news.update({
+    where: { id: newsId },
+    data: {
+      image: media ? media.file : null,
+      imageVariants: media?.imageVariants ?? Prisma.DbNull,
+    },
+  });
+};
+
+// Hapus media beserta filenya. Jika media adalah cover, foto berikutnya
+// menjadi cover baru.
+const deleteNewsMedia = async (media) => {
+  await deleteImage(media.file, media.imageVariants);
+  await prisma.newsMedia.delete({ where: { id: media.id } });
+
+  if (media.isCover) {
+    const nextCover = await prisma.newsMedia.findFirst({
+      where: { newsId: media.newsId, type: "image" },
+      orderBy: { position: "asc" },
+    });
+    await setNewsCover(media.newsId, nextCover);
+  }
+};
+
+// Simpan hasil uploadNewsFiles ke berita. Cover baru menggantikan cover
+// lama; tanpa cover, coverIndex (indeks di "media") atau foto pertama
+// dipakai jika berita belum punya cover.
+const saveNewsUploads = async (newsId, req, uploads) => {
+  const captions = toArray(req.body.captions);
+
+  const lastMedia = await prisma.newsMedia.findFirst({
+    where: { newsId },
+    orderBy: { position: "desc" },
+  });
+  const position = lastMedia ? lastMedia.position + 1 : 0;
+  const media = await createNewsMedia(
+    newsId,
+    uploads.media,
+    captions,
+    position
+  );
+
+  if (uploads.cover) {
+    // Cover lama hanya dihapus jika khusus cover; foto galeri yang dipilih
+    // sebagai cover tetap ada di galeri
+    const oldCover = await prisma.newsMedia.findFirst({
+      where: { newsId, isCover: true, coverOnly: true },
+    });
+
+    // Cover selalu berada di urutan pertama. Cover lama dihapus setelah
+    // cover baru terpasang agar berita tidak kehilangan cover jika gagal.
+    const [cover] = await createNewsMedia(newsId, [uploads.cover], [], -1, {
+      coverOnly: true,
+    });
+    await setNewsCover(newsId, cover);
+    if (oldCover) {
+      await prisma.newsMedia.delete({ where: { id: oldCover.id } });
+      await deleteImage(oldCover.file, oldCover.imageVariants);
+    }
+    return;
+  }
+
+  const hasCover = await prisma.newsMedia.count({
+    where: { newsId, isCover: true },
+  });
+  const images = media.filter((item) => item.type === "image");
+  const chosen = media[parseInt(req.body.coverIndex)];
+  if (chosen?.type === "image") {
+    await setNewsCover(newsId, chosen);
+  } else if (!hasCover && images.length > 0) {
+    await setNewsCover(newsId, images[0]);
+  }
+};
+
+// Berita baru yang gagal tersimpan lengkap dihapus lagi (media ikut
+// terhapus) agar request ulang tidak membuat duplikat dengan slug -2
+const discardNewNews = async (newsId, uploads) => {
+  try {
+    if (newsId) await prisma.news.delete({ where: { id: newsId } });
+  } catch (error) {
+    console.error("Error discarding news:", error);
+    return;
+  }
+
+  await discardNewsFiles(uploads);
+};
+
+// Batalkan upload ke berita yang sudah ada: media dari upload ini dihapus
+// beserta filenya dan cover kembali ke foto pertama yang tersisa
+const discardNewsUploads = async (newsId, uploads) => {
+  const keys = [uploads.cover, ...uploads.media]
+    .filter(Boolean)
+    .map((upload) => upload.file);
+
+  try {
+    await prisma.newsMedia.deleteMany({
+      where: { newsId, file: { in: keys } },
+    });
+    const newsItem = await prisma.news.findUnique({ where: { id: newsId } });
+    if (newsItem && keys.includes(newsItem.image)) {
+      const nextCover = await prisma.newsMedia.findFirst({
+        where: { newsId, type: "image" },
+        orderBy: { position: "asc" },
+      });
+      await setNewsCover(newsId, nextCover);
+    }
+  } catch (error) {
+    console.error("Error discarding news uploads:", error);
+    return;
+  }
+
+  await discardNewsFiles(uploads);
+};
+
+// Filter ?category=<slug>&tag=<slug>, beberapa tag dipisah koma
+// berarti berita harus memiliki semua tag tersebut
+const newsTaxonomyWhere = (req) => {
+  const { category, tag } = req.query;
+  const where = [];
+
+  if (category) where.push({ category: { slug: String(category) } });
+  const tagSlugs = tag ? String(tag).split(",") : [];
+  for (const tagSlug of tagSlugs.map((slug) => slug.trim()).filter(Boolean)) {
+    where.push({ tags: { some: { slug: tagSlug } } });
+  }
+
+  return { AND: [publicationWhere("news", "publishedAt")(req), ...where] };
+};
+
+// Tag dikirim sebagai array atau teks dipisah koma,
+// mis. "olimpiade, matematika". Tag baru dibuat otomatis.
+const parseTags = (tags) => {
+  if (tags === undefined) return undefined;
+
+  const names = (Array.isArray(tags) ? tags : String(tags).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  const tagsBySlug = new Map();
+  for (const name of names) {
+    const slug = slugify(name);
+    if (slug && !tagsBySlug.has(slug)) tagsBySlug.set(slug, name);
+  }
+
+  return [...tagsBySlug].map(([slug, name]) => ({
+    where: { slug },
+    create: { name, slug },
+  }));
+};
+
+// categoryId kosong berarti berita tanpa kategori
+const parseCategoryId = (categoryId) => {
+  if (categoryId === undefined) return undefined;
+  return categoryId === "" || categoryId === null ? null : parseInt(categoryId);
+};
+
+const isValidCategoryId = async (categoryId) => {
+  if (categoryId === undefined || categoryId === null) return true;
+  if (Number.isNaN(categoryId)) return false;
+  return Boolean(
+    await prisma.category.findUnique({ where: { id: categoryId } })
+  );
+};
+
+// Get all news
+app.get(
+  "/api/news",
+  authenticateOptional,
+  listHandler("news", {
+    sortFields: ["id", "title", "publishedAt", "status"],
+    defaultSort: "-publishedAt",
+    filters: { title: "contains" },
+    dateRanges: { published: "publishedAt" },
+    fileFields: ["image"],
+    include: NEWS_INCLUDE,
+    where: newsTaxonomyWhere,
+  })
+);
+
+// Get news by slug
+app.get(
+  "/api/news/slug/:slug",
+  authenticateOptional,
+  slugHandler("news", {
+    basePath: "/api/news/slug",
+    notFound: "News not found",
+    canView: (req, newsItem) => canView(req, newsItem, "news", "publishedAt"),
+    fileFields: NEWS_FILE_FIELDS,
+    include: NEWS_DETAIL_INCLUDE,
+  })
+);
+
+// Get news by ID (draft hanya untuk admin atau dengan ?preview=<token>)
+app.get("/api/news/:id", authenticateOptional, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const newsItem = await prisma.news.findUnique({
+      where: { id },
+      include: NEWS_DETAIL_INCLUDE,
+    });
+
+    if (!newsItem || !canView(req, newsItem, "news", "publishedAt")) {
+      return res.status(404).json({ error: "News not found" });
+    }
+    res.json(withFileUrls(newsItem, NEWS_FILE_FIELDS));
+  } catch (error) {
+    console.error("Error fetching news:", error);
+    res.status(500).json({ error: "Failed to fetch news" });
+  }
+});
+
+// Buat token pratinjau untuk draft berita
+app.post(
+  "/api/news/:id/preview-token",
+  authenticateToken,
+  authorize("news"),
+  async (req, res) => {
+    const id = Number(req.params.id);
+    if (!isValidId(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const newsItem = await prisma.news.findUnique({
+        where: { id },
+      });
+
+      if (!newsItem) {
+        return res.status(404).json({ error: "News not found" });
+      }
+
+      res.json({
+        previewToken: createPreviewToken("news", newsItem.id),
+        expiresIn: PREVIEW_TOKEN_EXPIRES_IN,
+      });
+    } catch (error) {
+      console.error("Error creating news preview token:", error);
+      res.status(500).json({ error: "Failed to create preview token" });
+    }
+  }
+);
+
+// Add news with cover image, photos and attachments
+app.post(
+  "/api/news",
+  authenticateToken,
+  authorize("news"),
+  uploadNewsMedia,
+  async (req, res) => {
+    const { title, publishedAt, status, slug } = req.body;
+    const categoryId = parseCategoryId(req.body.categoryId);
+    const tags = parseTags(req.body.tags);
+
+    // Validate date format
+    if (
+      !title ||
+      !req.body.description ||
+      !publishedAt ||
+      isNaN(new Date(publishedAt).getTime())
+    ) {
+      return res.status(400).json({ error: "Invalid or missing fields" });
+    }
+
+    if (!isValidPublicationStatus(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    if (!isValidRichTextFormat(req.body.descriptionFormat)) {
+      return res.status(400).json({ error: "Invalid descriptionFormat" });
+    }
+
+    try {
+      if (!(await isValidCategoryId(categoryId))) {
+        return res.status(400).json({ error: "Category not found" });
+      }
+
+      // File diupload lebih dulu, jadi upload yang gagal tidak
+      // meninggalkan berita tanpa media
+      const uploads = await uploadNewsFiles(req);
+
+      let newNews;
+      try {
+        newNews = await prisma.news.create({
+          data: {
+            title,
+            ...richTextData("news", req.body),
+            publishedAt: new Date(publishedAt),
+            status: status || defaultPublicationStatus(new Date(publishedAt)),
+            slug: await generateUniqueSlug("news", slug || title),
+            categoryId,
+            tags: tags && { connectOrCreate: tags },
+          },
+        });
+        await saveNewsUploads(newNews.id, req, uploads);
+      } catch (error) {
+        await discardNewNews(newNews?.id, uploads);
+        throw error;
+      }
+
+      const createdNews = await prisma.news.findUnique({
+        where: { id: newNews.id },
+        include: NEWS_DETAIL_INCLUDE,
+      });
+      res.json(withFileUrls(createdNews, NEWS_FILE_FIELDS));
+    } catch (error) {
+      console.error("Error creating news:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create news", details: error.message });
+    }
+  }
+);
+
+// Endpoint to update news. Cover baru menggantikan cover lama,
+// file di "media" ditambahkan setelah media yang sudah ada.
+app.put(
+  "/api/news/:id",
+  authenticateToken,
+  authorize("news"),
+  uploadNewsMedia,
+  async (req, res) => {
+    const { id } = req.params;
+    const { title, publishedAt, status, slug } = req.body;
+    const categoryId = parseCategoryId(req.body.categoryId);
+    const tags = parseTags(req.body.tags);
+
+    if (!isValidPublicationStatus(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    if (!isValidRichTextFormat(req.body.descriptionFormat)) {
+      return res.status(400).json({ error: "Invalid descriptionFormat" });
+    }
+
+    try {
+      // Ambil data berita lama
+      const existingNews = await prisma.news.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingNews) {
+        return res.status(404).json({ error: "News not found" });
+      }
+
+      if (!(await isValidCategoryId(categoryId))) {
+        return res.status(400).json({ error: "Category not found" });
+      }
+
+      const uploads = await uploadNewsFiles(req);
+
+      try {
+        // Perbarui data berita
+        await prisma.news.update({
+          where: { id: parseInt(id) },
+          data: {
+            title,
+            ...richTextData("news", req.body),
+            publishedAt: new Date(publishedAt),
+            status,
+            slug: await updateSlug("news", existingNews, { slug, title }),
+            categoryId,
+            // Tag yang dikirim menggantikan semua tag lama
+            tags: tags && { set: [], connectOrCreate: tags },
+          },
+        });
+        await saveNewsUploads(existingNews.id, req, uploads);
+      } catch (error) {
+        await discardNewsUploads(existingNews.id, uploads);
+        throw error;
+      }
+
+      const updatedNews = await prisma.news.findUnique({
+        where: { id: existingNews.id },
+        include: NEWS_DETAIL_INCLUDE,
+      });
+      res.json(withFileUrls(updatedNews, NEWS_FILE_FIELDS));
+    } catch (error) {
+      console.error("Error updating news:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update news", details: error.message });
+    }
+  }
+);
+
+// Delete news by ID
+app.delete(
+  "/api/news/:id",
+  authenticateToken,
+  authorize("news"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Ambil data berita lama
+      const existingNews = await prisma.news.findUnique({
+        where: { id: parseInt(id) },
+        include: { media: true },
+      });
+
+      if (!existingNews) {
+        return res.status(404).json({ error: "News not found" });
+      }
+
+      // Hapus semua foto dan lampiran dari storage. Cover sudah termasuk
+      // di media, kecuali gambar lama yang belum tercatat sebagai media.
+      for (const media of existingNews.media) {
+        await deleteImage(media.file, media.imageVariants);
+      }
+      const coverIsMedia = existingNews.media.some(
+        (media) => media.file === existingNews.image
+      );
+      if (existingNews.image && !coverIsMedia) {
+        await deleteImage(existingNews.image, existingNews.imageVariants);
+      }
+
+      // Hapus data berita dari database
+      await prisma.news.delete({
+        where: { id: parseInt(id) },
+      });
+      await deleteSlugRedirects("news", existingNews.id);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting news:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to delete news", details: error.message });
+    }
+  }
+);
+
+// Tambah foto/lampiran ke berita
+app.post(
+  "/api/news/:id/media",
+  authenticateToken,
+  authorize("news"),
+  uploadNewsMedia,
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const existingNews = await prisma.news.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingNews) {
+        return res.status(404).json({ error: "News not found" });
+      }
+
+      const uploads = await uploadNewsFiles(req);
+      try {
+        await saveNewsUploads(existingNews.id, req, uploads);
+      } catch (error) {
+        await discardNewsUploads(existingNews.id, uploads);
+        throw error;
+      }
+
+      const media = await prisma.newsMedia.findMany({
+        where: { newsId: existingNews.id },
+        orderBy: { position: "asc" },
+      });
+      res.status(201).json(withFileUrls(media, ["file"]));
+    } catch (error) {
+      console.error("Error uploading news media:", error);
+      res.status(500).json({ error: "Failed to upload news media" });
+    }
+  }
+);
+
+// Ubah urutan media: { mediaIds: [3, 1, 2] } berisi semua media berita
+app.put(
+  "/api/news/:id/media/order",
+  authenticateToken,
+  authorize("news"),
+  async (req, res) => {
+    const newsId = parseInt(req.params.id);
+    const { mediaIds } = req.body;
+
+    try {
+      const media = await prisma.newsMedia.findMany({ where: { newsId } });
+      const requestedIds = parseIdOrder(
+        mediaIds,
+        media.map((item) => item.id)
+      );
+
+      if (!requestedIds) {
+        return res
+          .status(400)
+          .json({ error: "mediaIds must list every media of this news" });
+      }
+
+      await prisma.$transaction(
+        requestedIds.map((mediaId, position) =>
+          prisma.newsMedia.update({
+            where: { id: mediaId },
+            data: { position },
+          })
+        )
+      );
+
+      const orderedMedia = await prisma.newsMedia.findMany({
+        where: { newsId },
+        orderBy: { position: "asc" },
+      });
+      res.json(withFileUrls(orderedMedia, ["file"]));
+    } catch (error) {
+      console.error("Error reordering news media:", error);
+      res.status(500).json({ error: "Failed to reorder news media" });
+    }
+  }
+);
+
+// Ubah caption atau jadikan cover: { caption, isCover: true }
+app.put(
+  "/api/news/:id/media/:mediaId",
+  authenticateToken,
+  authorize("news"),
+  async (req, res) => {
+    const { caption, isCover } = req.body;
+
+    try {
+      const media = await prisma.newsMedia.findFirst({
+        where: {
+          id: parseInt(req.params.mediaId),
+          newsId: parseInt(req.params.id),
+        },
+      });
+
+      if (!media) {
+        return res.status(404).json({ error: "Media not found" });
+      }
+
+      if (isCover && media.type !== "image") {
+        return res.status(400).json({ error: "Only images can be the cover" });
+      }
+
+      await prisma.newsMedia.update({
+        where: { id: media.id },
+        data: { caption },
+      });
+      if (isCover) await setNewsCover(media.newsId, media);
+
+      const updatedMedia = await prisma.newsMedia.findUnique({
+        where: { id: media.id },
+      });
+      res.json(withFileUrls(updatedMedia, ["file"]));
+    } catch (error) {
+      console.error("Error updating news media:", error);
+      res.status(500).json({ error: "Failed to update news media" });
+    }
+  }
+);
+
+app.delete(
+  "/api/news/:id/media/:mediaId",
+  authenticateToken,
+  authorize("news"),
+  async (req, res) => {
+    try {
+      const media = await prisma.newsMedia.findFirst({
+        where: {
+          id: parseInt(req.params.mediaId),
+          newsId: parseInt(req.params.id),
+        },
+      });
+
+      if (!media) {
+        return res.status(404).json({ error: "Media not found" });
+      }
+
+      await deleteNewsMedia(media);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting news media:", error);
+      res.status(500).json({ error: "Failed to delete news media" });
+    }
+  }
+);
+
+// Semua kategori beserta jumlah berita yang sudah terbit (untuk sidebar)
+app.get("/api/categories", async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      orderBy: { name: "asc" },
+      include: {
+        _count: { select: { news: { where: publishedWhere("publishedAt") } } },
+      },
+    });
+    res.json(
+      categories.map(({ _count, ...category }) => ({
+        ...category,
+        newsCount: _count.news,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// Semua tag yang dipakai berita terbit, beserta jumlahnya
+app.get("/api/tags", async (req, res) => {
+  try {
+    const tags = await prisma.tag.findMany({
+      where: { news: { some: publishedWhere("publishedAt") } },
+      orderBy: { name: "asc" },
+      include: {
+        _count: { select: { news: { where: publishedWhere("publishedAt") } } },
+      },
+    });
+    res.json(
+      tags.map(({ _count, ...tag }) => ({ ...tag, newsCount: _count.news }))
+    );
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+app.post(
+  "/api/categories",
+  authenticateToken,
+  authorize("categories"),
+  async (req, res) => {
+    const { name, description, slug } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    try {
+      const newCategory = await prisma.category.create({
+        data: {
+          name,
+          description,
+          slug: await generateUniqueSlug("category", slug || name),
+        },
+      });
+      res.status(201).json(newCategory);
+    } catch (error) {
+      console.error("Error creating category:", error);
+      res.status(500).json({ error: "Failed to create category" });
+    }
+  }
+);
+
+app.put(
+  "/api/categories/:id",
+  authenticateToken,
+  authorize("categories"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, description, slug } = req.body;
+
+    try {
+      const existingCategory = await prisma.category.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingCategory) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      const updatedCategory = await prisma.category.update({
+        where: { id: existingCategory.id },
+        data: {
+          name,
+          description,
+          slug: slug
+            ? await generateUniqueSlug("category", slug, existingCategory.id)
+            : undefined,
+        },
+      });
+      res.json(updatedCategory);
+    } catch (error) {
+      console.error("Error updating category:", error);
+      res.status(500).json({ error: "Failed to update category" });
+    }
+  }
+);
+
+// Berita dalam kategori yang dihapus menjadi tanpa kategori
+app.delete(
+  "/api/categories/:id",
+  authenticateToken,
+  authorize("categories"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const existingCategory = await prisma.category.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingCategory) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      await prisma.category.delete({ where: { id: existingCategory.id } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      res.status(500).json({ error: "Failed to delete category" });
+    }
+  }
+);
+
+app.post(
+  "/api/announcements",
+  authenticateToken,
+  authorize("announcements"),
+  async (req, res) => {
+    const { title, description, publishedDate, status, slug } = req.body;
+
+    // Validate date format
+    if (
+      !title ||
+      !description ||
+      !publishedDate ||
+      isNaN(new Date(publishedDate).getTime())
+    ) {
+      return res.status(400).json({ error: "Invalid or missing fields" });
+    }
+
+    if (!isValidPublicationStatus(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    try {
+      const newAnnouncement = await prisma.announcement.create({
+        data: {
+          title,
+          description,
+          publishedDate: new Date(publishedDate),
+          status: status || defaultPublicationStatus(new Date(publishedDate)),
+          slug: await generateUniqueSlug("announcement", slug || title),
+        },
+      });
+      res.json(newAnnouncement);
+    } catch (error) {
+      console.error("Failed to create announcement:", error);
+      res.status(500).send("Error creating announcement");
+    }
+  }
+);
+
+// Update announcement by ID
+app.put(
+  "/api/announcements/:id",
+  authenticateToken,
+  authorize("announcements"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { title, description, publishedDate, status, slug } = req.body;
+
+    if (!title || !description || !publishedDate) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (!isValidPublicationStatus(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    let parsedDate = null;
+    if (publishedDate && !isNaN(new Date(publishedDate).getTime())) {
+      parsedDate = new Date(publishedDate);
+    }
+
+    try {
+      const existingAnnouncement = await prisma.announcement.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingAnnouncement) {
+        return res.status(404).json({ error: "Announcement not found" });
+      }
+
+      const updatedAnnouncement = await prisma.announcement.update({
+        where: { id: parseInt(id) },
+        data: {
+          title,
+          description,
+          publishedDate: parsedDate,
+          status,
+          slug: await updateSlug("announcement", existingAnnouncement, {
+            slug,
+            title,
+          }),
+        },
+      });
+      res.json(updatedAnnouncement);
+    } catch (error) {
+      console.error("Failed to update announcement:", error);
+      res.status(500).json({ error: "Error updating announcement" });
+    }
+  }
+);
+
+// Get all announcements
+app.get(
+  "/api/announcements",
+  authenticateOptional,
+  listHandler("announcement", {
+    sortFields: ["id", "title", "publishedDate", "status"],
+    defaultSort: "-publishedDate",
+    filters: { title: "contains" },
+    dateRanges: { published: "publishedDate" },
+    where: publicationWhere("announcements", "publishedDate"),
+  })
+);
+
+// Get announcement by slug
+app.get(
+  "/api/announcements/slug/:slug",
+  authenticateOptional,
+  slugHandler("announcement", {
+    basePath: "/api/announcements/slug",
+    notFound: "Announcement not found",
+    canView: (req, announcement) =>
+      canView(req, announcement, "announcements", "publishedDate"),
+  })
+);
+
+// Get announcement by ID (draft hanya untuk admin atau dengan ?preview=<token>)
+app.get("/api/announcements/:id", authenticateOptional, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const announcement = await prisma.announcement.findUnique({
+      where: { id },
+    });
+
+    if (
+      !announcement ||
+      !canView(req, announcement, "announcements", "publishedDate")
+    ) {
+      return res.status(404).json({ error: "Announcement not found" });
+    }
+    res.json(announcement);
+  } catch (error) {
+    console.error("Error fetching announcement:", error);
+    res.status(500).json({ error: "Failed to fetch announcement" });
+  }
+});
+
+// Buat token pratinjau untuk draft pengumuman
+app.post(
+  "/api/announcements/:id/preview-token",
+  authenticateToken,
+  authorize("announcements"),
+  async (req, res) => {
+    const id = Number(req.params.id);
+    if (!isValidId(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const announcement = await prisma.announcement.findUnique({
+        where: { id },
+      });
+
+      if (!announcement) {
+        return res.status(404).json({ error: "Announcement not found" });
+      }
+
+      res.json({
+        previewToken: createPreviewToken("announcements", announcement.id),
+        expiresIn: PREVIEW_TOKEN_EXPIRES_IN,
+      });
+    } catch (error) {
+      console.error("Error creating announcement preview token:", error);
+      res.status(500).json({ error: "Failed to create preview token" });
+    }
+  }
+);
+
+// Delete announcement by ID
+app.delete(
+  "/api/announcements/:id",
+  authenticateToken,
+  authorize("announcements"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      await prisma.announcement.delete({
+        where: { id: parseInt(id) },
+      });
+      await deleteSlugRedirects("announcement", parseInt(id));
+      res.status(204).send();
+    } catch (error) {
+      console.error("Failed to delete announcement:", error);
+      res.status(500).send("Error deleting announcement");
+    }
+  }
+);
+
+// Get Hero
+app.get("/api/hero", async (req, res) => {
+  const hero = await prisma.hero.findFirst();
+  res.json(withFileUrls(hero));
+});
+
+// Update Hero
+app.put(
+  "/api/hero/:id",
+  authenticateToken,
+  authorize("hero"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { welcomeMessage, description } = req.body;
+
+    try {
+      // Ambil data hero lama
+      const existingHero = await prisma.hero.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingHero) {
+        return res.status(404).json({ error: "Hero not found" });
+      }
+
+      // Jika ada file baru, upload dan hapus file lama dari storage
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadFile(req.file);
+
+        if (existingHero.image) {
+          await deleteFile(existingHero.image);
+        }
+      }
+
+      // Perbarui data hero
+      const updatedHero = await prisma.hero.update({
+        where: { id: parseInt(id) },
+        data: {
+          welcomeMessage,
+          description,
+          image: newImage || existingHero.image,
+        },
+      });
+
+      res.json(withFileUrls(updatedHero));
+    } catch (error) {
+      console.error("Error updating hero:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update hero", details: error.message });
+    }
+  }
+);
+
+// Get all extracurriculars
+app.get(
+  "/api/extracurriculars",
+  listHandler("extracurricular", {
+    sortFields: ["id", "name"],
+    filters: { name: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+// Get extracurricular by slug
+app.get(
+  "/api/extracurriculars/slug/:slug",
+  slugHandler("extracurricular", {
+    basePath: "/api/extracurriculars/slug",
+    notFound: "Extracurricular not found",
+    fileFields: ["image"],
+  })
+);
+
+// Get extracurricular by ID
+app.get("/api/extracurriculars/:id", async (req, res) => {
+  const { id } = req.params;
+  const extracurricular = await prisma.extracurricular.findUnique({
+    where: { id: parseInt(id) },
+  });
+  res.json(withFileUrls(extracurricular));
+});
+
+// Add extracurricular with image upload
+app.post(
+  "/api/extracurriculars",
+  authenticateToken,
+  authorize("extracurriculars"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { name, description, slug } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    try {
+      const image = req.file ? await uploadFile(req.file) : null;
+
+      const newExtracurricular = await prisma.extracurricular.create({
+        data: {
+          name,
+          description,
+          image,
+          slug: await generateUniqueSlug("extracurricular", slug || name),
+        },
+      });
+      res.json(withFileUrls(newExtracurricular));
+    } catch (error) {
+      console.error("Error creating extracurricular:", error);
+      res
+        .status(500)
+        .json({
+          error: "Failed to create extracurricular",
+          details: error.message,
+        });
+    }
+  }
+);
+
+// Update extracurricular with image upload
+app.put(
+  "/api/extracurriculars/:id",
+  authenticateToken,
+  authorize("extracurriculars"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, description, slug } = req.body;
+
+    try {
+      // Ambil data lama
+      const existingExtracurricular = await prisma.extracurricular.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingExtracurricular) {
+        return res.status(404).json({ error: "Extracurricular not found" });
+      }
+
+      // Jika ada file baru, upload dan hapus file lama
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadFile(req.file);
+
+        if (existingExtracurricular.image) {
+          await deleteFile(existingExtracurricular.image);
+        }
+      }
+
+      // Perbarui data
+      const updatedExtracurricular = await prisma.extracurricular.update({
+        where: { id: parseInt(id) },
+        data: {
+          name,
+          description,
+          image: newImage || existingExtracurricular.image,
+          slug: await updateSlug(
+            "extracurricular",
+            existingExtracurricular,
+            { slug, title: name },
+            "name"
+          ),
+        },
+      });
+
+      res.json(withFileUrls(updatedExtracurricular));
+    } catch (error) {
+      console.error("Error updating extracurricular:", error);
+      res
+        .status(500)
+        .json({
+          error: "Failed to update extracurricular",
+          details: error.message,
+        });
+    }
+  }
+);
+
+// Delete extracurricular by ID
+app.delete(
+  "/api/extracurriculars/:id",
+  authenticateToken,
+  authorize("extracurriculars"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Ambil data lama
+      const existingExtracurricular = await prisma.extracurricular.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingExtracurricular) {
+        return res.status(404).json({ error: "Extracurricular not found" });
+      }
+
+      // Hapus file terkait dari storage jika ada
+      if (existingExtracurricular.image) {
+        await deleteFile(existingExtracurricular.image);
+      }
+
+      // Hapus data dari database
+      await prisma.extracurricular.delete({
+        where: { id: parseInt(id) },
+      });
+      await deleteSlugRedirects("extracurricular", existingExtracurricular.id);
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting extracurricular:", error);
+      res
+        .status(500)
+        .json({
+          error: "Failed to delete extracurricular",
+          details: error.message,
+        });
+    }
+  }
+);
+
+// Get Kalender (PDF kalender akademik)
+app.get(
+  "/api/kalender",
+  listHandler("kalender", {
+    sortFields: ["id", "title", "academicYear"],
+    filters: { title: "contains", academicYear: "equals" },
+    fileFields: ["file"],
+  })
+);
+
+const CALENDAR_EVENT_TYPES = ["ujian", "libur", "kegiatan"];
+
+// Tahun ajaran "2024/2025", tahun kedua harus tahun berikutnya
+const isValidAcademicYear = (value) => {
+  const match = /^(\d{4})\/(\d{4})$/.exec(String(value));
+  return Boolean(match) && Number(match[2]) === Number(match[1]) + 1;
+};
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+// Validasi body agenda. Saat update, field yang tidak dikirim diambil dari
+// existing. Acara sehari penuh dikirim sebagai "YYYY-MM-DD" dan disimpan
+// sebagai tanggal saja (00:00 UTC); endDate kosong berarti acara satu hari.
+const calendarEventData = (body, existing = {}) => {
+  const { title, description, type, academicYear } = body;
+  const allDay =
+    body.allDay === undefined
+      ? existing.allDay ?? true
+      : body.allDay === true || body.allDay === "true";
+  const startValue = body.startDate ?? existing.startDate;
+  const endValue = body.endDate ?? existing.endDate ?? startValue;
+
+  if (
+    !(title ?? existing.title) ||
+    !startValue ||
+    !(type ?? existing.type) ||
+    !(academicYear ?? existing.academicYear)
+  ) {
+    throw badRequest("Missing required fields");
+  }
+  if (type !== undefined && !CALENDAR_EVENT_TYPES.includes(type)) {
+    throw badRequest(`type must be one of: ${CALENDAR_EVENT_TYPES.join(", ")}`);
+  }
+  if (academicYear !== undefined && !isValidAcademicYear(academicYear)) {
+    throw badRequest("Invalid academicYear, expected e.g. 2024/2025");
+  }
+
+  let startDate = parseDateParam(startValue, "startDate");
+  let endDate = parseDateParam(endValue, "endDate");
+  if (allDay) {
+    startDate = startOfUtcDay(startDate);
+    endDate = startOfUtcDay(endDate);
+  }
+  if (endDate < startDate) {
+    throw badRequest("endDate must not be before startDate");
+  }
+
+  return { title, description, type, academicYear, allDay, startDate, endDate };
+};
+
+// Tambahkan URL PDF kalender dari tahun ajaran yang sama sebagai attachment
+const withCalendarAttachments = async (events) => {
+  const academicYears = [...new Set(events.map((event) => event.academicYear))];
+  const kalenders = await prisma.kalender.findMany({
+    where: { academicYear: { in: academicYears } },
+    orderBy: { id: "asc" },
+  });
+  const files = Object.fromEntries(
+    kalenders.map((kalender) => [
+      kalender.academicYear,
+      getFileUrl(kalender.file),
+    ])
+  );
+
+  return events.map((event) => ({
+    ...event,
+    attachment: files[event.academicYear] || null,
+  }));
+};
+
+// Agenda dalam rentang tanggal, mis. ?from=2025-01-01&to=2025-01-31.
+// Acara yang melewati batas rentang (mulai sebelum from) tetap ikut.
+// to berupa tanggal saja mencakup seluruh hari tersebut.
+app.get("/api/kalender/events", async (req, res) => {
+  const { from, to, type, academicYear } = req.query;
+
+  try {
+    const where = {};
+    if (from) where.endDate = { gte: parseDateParam(from, "from") };
+    if (to) {
+      const toDate = parseDateParam(to, "to");
+      where.startDate = /^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? { lt: new Date(toDate.getTime() + 24 * 60 * 60 * 1000) }
+        : { lte: toDate };
+    }
+    if (type) where.type = String(type);
+    if (academicYear) where.academicYear = String(academicYear);
+
+    const events = await prisma.calendarEvent.findMany({
+      where,
+      orderBy: [{ startDate: "asc" }, { id: "asc" }],
+    });
+    res.json({ data: await withCalendarAttachments(events) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error fetching calendar events:", error);
+    res.status(500).json({ error: "Failed to fetch calendar events" });
+  }
+});
+
+// Feed iCalendar untuk dilanggan di aplikasi kalender HP.
+// Bisa difilter ?type=ujian atau ?academicYear=2024/2025.
+app.get("/api/kalender/events.ics", async (req, res) => {
+  const { type, academicYear } = req.query;
+  const since = new Date(
+    Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  try {
+    const where = { endDate: { gte: since } };
+    if (type) where.type = String(type);
+    if (academicYear) where.academicYear = String(academicYear);
+
+    const events = await withCalendarAttachments(
+      await prisma.calendarEvent.findMany({
+        where,
+        orderBy: [{ startDate: "asc" }, { id: "asc" }],
+      })
+    );
+
+    const lastModified = latestDate(
+      events.map((event) => ({ date: event.updatedAt }))
+    );
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="kalender-akademik.ics"',
+      "Cache-Control": `public, max-age=${FEED_CACHE_MAX_AGE}`,
+    });
+    if (lastModified) res.set("Last-Modified", lastModified.toUTCString());
+    res.send(
+      buildICalendar({
+        name: `Kalender Akademik ${SITE_NAME}`,
+        description: `Agenda ujian, libur, dan kegiatan ${SITE_NAME}`,
+        prodId: `-//${SITE_NAME}//Kalender Akademik//ID`,
+        timezone: SCHOOL_TIMEZONE,
+        events: events.map((event) => ({
+          uid: `calendar-event-${event.id}@smpn1tamansari`,
+          title: event.title,
+          description: event.description,
+          start: event.startDate,
+          end: event.endDate,
+          allDay: event.allDay,
+          category: event.type,
+          url: `${FRONTEND_URL}${FRONTEND_PATHS.kalender}`,
+          attachment: event.attachment,
+          updatedAt: event.updatedAt,
+        })),
+      })
+    );
+  } catch (error) {
+    console.error("Error generating calendar feed:", error);
+    res.status(500).json({ error: "Failed to generate calendar feed" });
+  }
+});
+
+// Get calendar event by ID
+app.get("/api/kalender/events/:id", async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!isValidId(eventId)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const event = await prisma.calendarEvent.findUnique({
+      where: { id: eventId },
+    });
+
+    if (!event) {
+      return res.status(404).json({ error: "Calendar event not found" });
+    }
+
+    const [eventWithAttachment] = await withCalendarAttachments([event]);
+    res.json(eventWithAttachment);
+  } catch (error) {
+    console.error("Error fetching calendar event:", error);
+    res.status(500).json({ error: "Failed to fetch calendar event" });
+  }
+});
+
+// Add calendar event
+app.post(
+  "/api/kalender/events",
+  authenticateToken,
+  authorize("kalender"),
+  async (req, res) => {
+    try {
+      const newEvent = await prisma.calendarEvent.create({
+        data: calendarEventData(req.body),
+      });
+      res.status(201).json(newEvent);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error creating calendar event:", error);
+      res.status(500).json({ error: "Failed to create calendar event" });
+    }
+  }
+);
+
+// Update calendar event
+app.put(
+  "/api/kalender/events/:id",
+  authenticateToken,
+  authorize("kalender"),
+  async (req, res) => {
+    const eventId = Number(req.params.id);
+    if (!isValidId(eventId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const existingEvent = await prisma.calendarEvent.findUnique({
+        where: { id: eventId },
+      });
+
+      if (!existingEvent) {
+        return res.status(404).json({ error: "Calendar event not found" });
+      }
+
+      const updatedEvent = await prisma.calendarEvent.update({
+        where: { id: eventId },
+        data: calendarEventData(req.body, existingEvent),
+      });
+      res.json(updatedEvent);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error updating calendar event:", error);
+      res.status(500).json({ error: "Failed to update calendar event" });
+    }
+  }
+);
+
+// Delete calendar event
+app.delete(
+  "/api/kalender/events/:id",
+  authenticateToken,
+  authorize("kalender"),
+  async (req, res) => {
+    const eventId = Number(req.params.id);
+    if (!isValidId(eventId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const existingEvent = await prisma.calendarEvent.findUnique({
+        where: { id: eventId },
+      });
+
+      if (!existingEvent) {
+        return res.status(404).json({ error: "Calendar event not found" });
+      }
+
+      await prisma.calendarEvent.delete({ where: { id: eventId } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting calendar event:", error);
+      res.status(500).json({ error: "Failed to delete calendar event" });
+    }
+  }
+);
+
+// Add Kalender (PDF kalender akademik)
+app.post(
+  "/api/kalender",
+  authenticateToken,
+  authorize("kalender"),
+  uploadPdf.single("file"),
+  async (req, res) => {
+    const { title, academicYear } = req.body;
+
+    if (!title || !req.file) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (academicYear && !isValidAcademicYear(academicYear)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid academicYear, expected e.g. 2024/2025" });
+    }
+
+    try {
+      const file = await uploadFile(req.file);
+      const newKalender = await prisma.kalender.create({
+        data: { title, file, academicYear: academicYear || null },
+      });
+      res.status(201).json(withFileUrls(newKalender, ["file"]));
+    } catch (error) {
+      console.error("Error creating kalender:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create kalender", details: error.message });
+    }
+  }
+);
+
+// Update Kalender
+app.put(
+  "/api/kalender/:id",
+  authenticateToken,
+  authorize("kalender"),
+  uploadPdf.single("file"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { title, academicYear } = req.body;
+
+    if (academicYear && !isValidAcademicYear(academicYear)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid academicYear, expected e.g. 2024/2025" });
+    }
+
+    try {
+      // Get the existing kalender data
+      const existingKalender = await prisma.kalender.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingKalender) {
+        return res.status(404).json({ error: "Kalender event not found" });
+      }
+
+      let newFile = existingKalender.file;
+
+      // If there's a new file, upload it and delete the old file from storage
+      if (req.file) {
+        newFile = await uploadFile(req.file);
+
+        // Delete the old file from storage
+        if (existingKalender.file) {
+          await deleteFile(existingKalender.file);
+        }
+      }
+
+      // Update the kalender record
+      const updatedKalender = await prisma.kalender.update({
+        where: { id: parseInt(id) },
+        data: {
+          title,
+          file: newFile, // Set the new file key or keep the old one
+          academicYear,
+        },
+      });
+
+      res.json(withFileUrls(updatedKalender, ["file"]));
+    } catch (error) {
+      console.error("Error updating kalender:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update kalender", details: error.message });
+    }
+  }
+);
+
+// Delete Kalender beserta file PDF-nya
+app.delete(
+  "/api/kalender/:id",
+  authenticateToken,
+  authorize("kalender"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const existingKalender = await prisma.kalender.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingKalender) {
+        return res.status(404).json({ error: "Kalender not found" });
+      }
+
+      await deleteFile(existingKalender.file);
+      await prisma.kalender.delete({ where: { id: parseInt(id) } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting kalender:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to delete kalender", details: error.message });
+    }
+  }
+);
+
+// Get all alumni
+app.get(
+  "/api/alumni",
+  listHandler("alumni", {
+    sortFields: ["id", "title"],
+    filters: { title: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+// Get alumni by ID
+app.get("/api/alumni/:id", async (req, res) => {
+  const { id } = req.params;
+  const alumniItem = await prisma.alumni.findUnique({
+    where: { id: parseInt(id) },
+  });
+  res.json(withFileUrls(alumniItem));
+});
+
+// Add alumni with image upload
+app.post(
+  "/api/alumni",
+  authenticateToken,
+  authorize("alumni"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { title, description } = req.body;
+
+    try {
+      const { image, imageVariants } = req.file
+        ? await uploadImageWithVariants(req.file)
+        : { image: null };
+
+      const newAlumni = await prisma.alumni.create({
+        data: {
+          title,
+          description,
+          image,
+          imageVariants,
+        },
+      });
+      res.json(withFileUrls(newAlumni));
+    } catch (error) {
+      console.error("Error creating alumni:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create alumni", details: error.message });
+    }
+  }
+);
+
+// Update alumni with image upload
+app.put(
+  "/api/alumni/:id",
+  authenticateToken,
+  authorize("alumni"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { title, description } = req.body;
+
+    try {
+      // Ambil data alumni lama
+      const existingAlumni = await prisma.alumni.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingAlumni) {
+        return res.status(404).json({ error: "Alumni not found" });
+      }
+
+      // Jika ada file baru, upload dan hapus file lama dari storage
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadImageWithVariants(req.file);
+
+        if (existingAlumni.image) {
+          await deleteImage(existingAlumni.image, existingAlumni.imageVariants);
+        }
+      }
+
+      // Perbarui data alumni
+      const updatedAlumni = await prisma.alumni.update({
+        where: { id: parseInt(id) },
+        data: {
+          title,
+          description,
+          image: newImage?.image || existingAlumni.image,
+          imageVariants: newImage?.imageVariants,
+        },
+      });
+      res.json(withFileUrls(updatedAlumni));
+    } catch (error) {
+      console.error("Error updating alumni:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update alumni", details: error.message });
+    }
+  }
+);
+
+// Delete alumni by ID
+app.delete(
+  "/api/alumni/:id",
+  authenticateToken,
+  authorize("alumni"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Ambil data alumni lama
+      const existingAlumni = await prisma.alumni.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingAlumni) {
+        return res.status(404).json({ error: "Alumni not found" });
+      }
+
+      // Hapus file terkait dari storage jika ada
+      if (existingAlumni.image) {
+        await deleteImage(existingAlumni.image, existingAlumni.imageVariants);
+      }
+
+      // Hapus data alumni dari database
+      await prisma.alumni.delete({
+        where: { id: parseInt(id) },
+      });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting alumni:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to delete alumni", details: error.message });
+    }
+  }
+);
+
+// Get all galeri
+app.get(
+  "/api/galeri",
+  listHandler("galeri", {
+    sortFields: ["id", "title"],
+    defaultSort: "-id",
+    filters: { title: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+const GALERI_MAX_PHOTOS_PER_UPLOAD = parseInt(
+  process.env.GALERI_MAX_PHOTOS_PER_UPLOAD || "50"
+);
+const ALBUM_INCLUDE = { cover: true, _count: { select: { photos: true } } };
+const ALBUM_FILE_FIELDS = [{ cover: ["image"] }];
+
+// Foto pertama album menjadi cover jika cover belum dipilih (atau dihapus)
+const ensureAlbumCover = async (albumId) => {
+  const album = await prisma.album.findUnique({ where: { id: albumId } });
+  if (!album || album.coverId) return;
+
+  const firstPhoto = await prisma.galeri.findFirst({
+    where: { albumId },
+    orderBy: { position: "asc" },
+  });
+  if (firstPhoto) {
+    await prisma.album.update({
+      where: { id: albumId },
+      data: { coverId: firstPhoto.id },
+    });
+  }
+};
+
+// Hapus record dan file dari upload album yang gagal di tengah jalan
+const discardAlbumUploads = async (photos, uploaded) => {
+  try {
+    await prisma.galeri.deleteMany({
+      where: { id: { in: photos.map((photo) => photo.id) } },
+    });
+    for (const { image, imageVariants } of uploaded) {
+      await deleteImage(image, imageVariants);
+    }
+  } catch (error) {
+    // File yang tertinggal nanti dibersihkan oleh storage:gc
+    console.error("Error discarding album uploads:", error);
+  }
+};
+
+// Get all albums
+app.get(
+  "/api/galeri/albums",
+  listHandler("album", {
+    sortFields: ["id", "title", "date"],
+    defaultSort: "-date",
+    filters: { title: "contains" },
+    dateRanges: { date: "date" },
+    include: ALBUM_INCLUDE,
+    fileFields: ALBUM_FILE_FIELDS,
+  })
+);
+
+// Get album by ID beserta fotonya (paginated, urut sesuai position)
+app.get("/api/galeri/albums/:id", async (req, res) => {
+  const albumId = Number(req.params.id);
+  if (!isValidId(albumId)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const album = await prisma.album.findUnique({
+      where: { id: albumId },
+      include: ALBUM_INCLUDE,
+    });
+
+    if (!album) {
+      return res.status(404).json({ error: "Album not found" });
+    }
+
+    const [photos, total] = await prisma.$transaction([
+      prisma.galeri.findMany({
+        where: { albumId },
+        orderBy: [{ position: "asc" }, { id: "asc" }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.galeri.count({ where: { albumId } }),
+    ]);
+
+    res.json({
+      album: withFileUrls(album, ALBUM_FILE_FIELDS),
+      data: withFileUrls(photos),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error fetching album:", error);
+    res.status(500).json({ error: "Failed to fetch album" });
+  }
+});
+
+// Add album
+app.post(
+  "/api/galeri/albums",
+  authenticateToken,
+  authorize("galeri"),
+  async (req, res) => {
+    const { title, description, date } = req.body;
+
+    if (!title || !date) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+
+    try {
+      const newAlbum = await prisma.album.create({
+        data: { title, description, date: new Date(date) },
+        include: ALBUM_INCLUDE,
+      });
+      res.status(201).json(withFileUrls(newAlbum, ALBUM_FILE_FIELDS));
+    } catch (error) {
+      console.error("Error creating album:", error);
+      res.status(500).json({ error: "Failed to create album" });
+    }
+  }
+);
+
+// Update album, coverId harus foto dari album yang sama
+app.put(
+  "/api/galeri/albums/:id",
+  authenticateToken,
+  authorize("galeri"),
+  async (req, res) => {
+    const albumId = Number(req.params.id);
+    if (!isValidId(albumId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const { title, description, date, coverId } = req.body;
+
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+
+    try {
+      const existingAlbum = await prisma.album.findUnique({
+        where: { id: albumId },
+      });
+
+      if (!existingAlbum) {
+        return res.status(404).json({ error: "Album not found" });
+      }
+
+      if (coverId !== undefined) {
+        const cover = await prisma.galeri.findFirst({
+          where: { id: parseInt(coverId) || 0, albumId },
+        });
+        if (!cover) {
+          return res
+            .status(400)
+            .json({ error: "Cover must be a photo in this album" });
+        }
+      }
+
+      const updatedAlbum = await prisma.album.update({
+        where: { id: albumId },
+        data: {
+          title,
+          description,
+          date: date === undefined ? undefined : new Date(date),
+          coverId: coverId === undefined ? undefined : parseInt(coverId),
+        },
+        include: ALBUM_INCLUDE,
+      });
+      res.json(withFileUrls(updatedAlbum, ALBUM_FILE_FIELDS));
+    } catch (error) {
+      console.error("Error updating album:", error);
+      res.status(500).json({ error: "Failed to update album" });
+    }
+  }
+);
+
+// Delete album beserta semua fotonya
+app.delete(
+  "/api/galeri/albums/:id",
+  authenticateToken,
+  authorize("galeri"),
+  async (req, res) => {
+    const albumId = Number(req.params.id);
+    if (!isValidId(albumId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const existingAlbum = await prisma.album.findUnique({
+        where: { id: albumId },
+        include: { photos: true },
+      });
+
+      if (!existingAlbum) {
+        return res.status(404).json({ error: "Album not found" });
+      }
+
+      for (const photo of existingAlbum.photos) {
+        await deleteImage(photo.image, photo.imageVariants);
+      }
+
+      // Foto ikut terhapus (onDelete: Cascade)
+      await prisma.album.delete({ where: { id: albumId } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting album:", error);
+      res.status(500).json({ error: "Failed to delete album" });
+    }
+  }
+);
+
+// Upload banyak foto sekaligus ke album (field "images"),
+// caption per foto di field "captions" dengan urutan yang sama
+app.post(
+  "/api/galeri/albums/:id/photos",
+  authenticateToken,
+  authorize("galeri"),
+  uploadImage.array("images", GALERI_MAX_PHOTOS_PER_UPLOAD),
+  async (req, res) => {
+    const albumId = Number(req.params.id);
+    if (!isValidId(albumId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const files = req.files || [];
+    const captions = toArray(req.body.captions);
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: "No images uploaded" });
+    }
+
+    try {
+      const album = await prisma.album.findUnique({ where: { id: albumId } });
+
+      if (!album) {
+        return res.status(404).json({ error: "Album not found" });
+      }
+
+      const lastPhoto = await prisma.galeri.findFirst({
+        where: { albumId },
+        orderBy: { position: "desc" },
+      });
+      const position = lastPhoto ? lastPhoto.position + 1 : 0;
+
+      const uploaded = [];
+      const photos = [];
+      let currentFile;
+      try {
+        for (const [index, file] of files.entries()) {
+          currentFile = file;
+          const { image, imageVariants } = await uploadImageWithVariants(file);
+          uploaded.push({ image, imageVariants });
+          photos.push(
+            await prisma.galeri.create({
+              data: {
+                title: captions[index] || album.title,
+                caption: captions[index] || null,
+                image,
+                imageVariants,
+                albumId,
+                position: position + index,
+              },
+            })
+          );
+        }
+      } catch (error) {
+        // Semua foto gagal jika satu gagal: hapus lagi foto yang sudah
+        // tersimpan agar album tidak berisi sebagian upload
+        await discardAlbumUploads(photos, uploaded);
+        console.error("Error uploading album photos:", error);
+        return res.status(500).json({
+          error: "Failed to upload album photos, no photos were saved",
+          file: currentFile.originalname,
+        });
+      }
+      await ensureAlbumCover(albumId);
+
+      res.status(201).json(withFileUrls(photos));
+    } catch (error) {
+      console.error("Error uploading album photos:", error);
+      res.status(500).json({ error: "Failed to upload album photos" });
+    }
+  }
+);
+
+// Ubah urutan foto album: { photoIds: [5, 3, 4] } berisi semua foto album
+app.put(
+  "/api/galeri/albums/:id/photos/order",
+  authenticateToken,
+  authorize("galeri"),
+  async (req, res) => {
+    const albumId = Number(req.params.id);
+    if (!isValidId(albumId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const photos = await prisma.galeri.findMany({ where: { albumId } });
+      const photoIds = parseIdOrder(
+        req.body.photoIds,
+        photos.map((photo) => photo.id)
+      );
+
+      if (!photoIds) {
+        return res
+          .status(400)
+          .json({ error: "photoIds must list every photo of this album" });
+      }
+
+      await prisma.$transaction(
+        photoIds.map((photoId, position) =>
+          prisma.galeri.update({ where: { id: photoId }, data: { position } })
+        )
+      );
+
+      const orderedPhotos = await prisma.galeri.findMany({
+        where: { albumId },
+        orderBy: { position: "asc" },
+      });
+      res.json(withFileUrls(orderedPhotos));
+    } catch (error) {
+      console.error("Error reordering album photos:", error);
+      res.status(500).json({ error: "Failed to reorder album photos" });
+    }
+  }
+);
+
+// Get galeri by ID
+app.get("/api/galeri/:id", async (req, res) => {
+  const { id } = req.params;
+  const galeriItem = await prisma.galeri.findUnique({
+    where: { id: parseInt(id) },
+  });
+  res.json(withFileUrls(galeriItem));
+});
+
+// Add galeri with image upload
+app.post(
+  "/api/galeri",
+  authenticateToken,
+  authorize("galeri"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { title } = req.body;
+
+    try {
+      const { image, imageVariants } = req.file
+        ? await uploadImageWithVariants(req.file)
+        : { image: null };
+
+      const newGaleri = await prisma.galeri.create({
+        data: {
+          title,
+          image,
+          imageVariants,
+        },
+      });
+      res.json(withFileUrls(newGaleri));
+    } catch (error) {
+      console.error("Error creating galeri:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create galeri", details: error.message });
+    }
+  }
+);
+
+// Update galeri with image upload
+app.put(
+  "/api/galeri/:id",
+  authenticateToken,
+  authorize("galeri"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { title, caption } = req.body;
+
+    try {
+      // Fetch existing galeri
+      const existingGaleri = await prisma.galeri.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingGaleri) {
+        return res.status(404).json({ error: "Galeri not found" });
+      }
+
+      // Handle new image upload and delete old file
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadImageWithVariants(req.file);
+
+        if (existingGaleri.image) {
+          await deleteImage(existingGaleri.image, existingGaleri.imageVariants);
+        }
+      }
+
+      // Update galeri data
+      const updatedGaleri = await prisma.galeri.update({
+        where: { id: parseInt(id) },
+        data: {
+          title,
+          caption,
+          image: newImage?.image || existingGaleri.image,
+          imageVariants: newImage?.imageVariants,
+        },
+      });
+
+      res.json(withFileUrls(updatedGaleri));
+    } catch (error) {
+      console.error("Error updating galeri:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update galeri", details: error.message });
+    }
+  }
+);
+
+// Delete galeri by ID
+app.delete(
+  "/api/galeri/:id",
+  authenticateToken,
+  authorize("galeri"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Fetch existing galeri
+      const existingGaleri = await prisma.galeri.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingGaleri) {
+        return res.status(404).json({ error: "Galeri not found" });
+      }
+
+      // Delete file from storage if exists
+      if (existingGaleri.image) {
+        await deleteImage(existingGaleri.image, existingGaleri.imageVariants);
+      }
+
+      // Delete galeri record from database
+      await prisma.galeri.delete({
+        where: { id: parseInt(id) },
+      });
+
+      // Jika foto ini cover album, foto berikutnya menjadi cover
+      if (existingGaleri.albumId) {
+        await ensureAlbumCover(existingGaleri.albumId);
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting galeri:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to delete galeri", details: error.message });
+    }
+  }
+);
+
+// Get all sarana
+app.get(
+  "/api/sarana",
+  listHandler("sarana", {
+    sortFields: ["id", "name"],
+    filters: { name: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+// Get sarana by ID
+app.get("/api/sarana/:id", async (req, res) => {
+  const { id } = req.params;
+  const saranaItem = await prisma.sarana.findUnique({
+    where: { id: parseInt(id) },
+  });
+  res.json(withFileUrls(saranaItem));
+});
+
+// Add sarana with image upload
+app.post(
+  "/api/sarana",
+  authenticateToken,
+  authorize("sarana"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { name, description } = req.body;
+
+    try {
+      const { image, imageVariants } = req.file
+        ? await uploadImageWithVariants(req.file)
+        : { image: null };
+
+      const newSarana = await prisma.sarana.create({
+        data: {
+          name,
+          description,
+          image,
+          imageVariants,
+        },
+      });
+      res.json(withFileUrls(newSarana));
+    } catch (error) {
+      console.error("Error creating sarana:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create sarana", details: error.message });
+    }
+  }
+);
+
+// Update sarana with image upload
+app.put(
+  "/api/sarana/:id",
+  authenticateToken,
+  authorize("sarana"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    try {
+      // Ambil data sarana lama
+      const existingSarana = await prisma.sarana.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingSarana) {
+        return res.status(404).json({ error: "Sarana not found" });
+      }
+
+      // Jika ada file baru, upload dan hapus file lama dari storage
+      let newImage = null;
+      if (req.file) {
+        // Unggah file baru
+        newImage = await uploadImageWithVariants(req.file);
+
+        // Hapus file lama jika ada
+        if (existingSarana.image) {
+          await deleteImage(existingSarana.image, existingSarana.imageVariants);
+        }
+      }
+
+      // Perbarui data sarana
+      const updatedSarana = await prisma.sarana.update({
+        where: { id: parseInt(id) },
+        data: {
+          name,
+          description,
+          // Gunakan gambar baru atau gambar lama
+          image: newImage?.image || existingSarana.image,
+          imageVariants: newImage?.imageVariants,
+        },
+      });
+      res.json(withFileUrls(updatedSarana));
+    } catch (error) {
+      console.error("Error updating sarana:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update sarana", details: error.message });
+    }
+  }
+);
+
+// Delete sarana by ID
+app.delete(
+  "/api/sarana/:id",
+  authenticateToken,
+  authorize("sarana"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Ambil data sarana lama
+      const existingSarana = await prisma.sarana.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingSarana) {
+        return res.status(404).json({ error: "Sarana not found" });
+      }
+
+      // Hapus file terkait dari storage jika ada
+      if (existingSarana.image) {
+        await deleteImage(existingSarana.image, existingSarana.imageVariants);
+      }
+
+      // Hapus data sarana dari database
+      await prisma.sarana.delete({
+        where: { id: parseInt(id) },
+      });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting sarana:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to delete sarana", details: error.message });
+    }
+  }
+);
+
+// Get Headmaster Message
+app.get("/api/headmaster-message", async (req, res) => {
+  const headmasterMessage = await prisma.headmasterMessage.findFirst();
+  res.json(withFileUrls(headmasterMessage));
+});
+
+// Update Headmaster Message
+app.put(
+  "/api/headmaster-message/:id",
+  authenticateToken,
+  authorize("headmasterMessage"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { description, headmasterName } = req.body;
+
+    if (!isValidRichTextFormat(req.body.messageFormat)) {
+      return res.status(400).json({ error: "Invalid messageFormat" });
+    }
+
+    try {
+      // Ambil data Headmaster Message lama
+      const existingMessage = await prisma.headmasterMessage.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingMessage) {
+        return res.status(404).json({ error: "Headmaster Message not found" });
+      }
+
+      // Jika ada gambar baru, upload dan hapus gambar lama dari storage
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadFile(req.file);
+        // Hapus gambar lama dari storage jika ada
+        if (existingMessage.image) {
+          await deleteFile(existingMessage.image);
+        }
+      }
+
+      // Perbarui Headmaster Message
+      const updatedHeadmasterMessage = await prisma.headmasterMessage.update({
+        where: { id: parseInt(id) },
+        data: {
+          ...richTextData("headmasterMessage", req.body),
+          description,
+          image: newImage || existingMessage.image, // Gunakan gambar baru jika ada
+          headmasterName,
+        },
+      });
+      res.json(withFileUrls(updatedHeadmasterMessage));
+    } catch (error) {
+      console.error("Error updating headmaster message:", error);
+      res.status(500).json({ error: "Failed to update headmaster message" });
+    }
+  }
+);
+
+// Get Sejarah
+app.get("/api/sejarah", async (req, res) => {
+  const sejarah = await prisma.sejarah.findFirst();
+  res.json(withFileUrls(sejarah));
+});
+
+// Update Sejarah
+app.put(
+  "/api/sejarah/:id",
+  authenticateToken,
+  authorize("sejarah"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidRichTextFormat(req.body.textFormat)) {
+      return res.status(400).json({ error: "Invalid textFormat" });
+    }
+
+    try {
+      // Ambil data Sejarah lama
+      const existingSejarah = await prisma.sejarah.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingSejarah) {
+        return res.status(404).json({ error: "Sejarah not found" });
+      }
+
+      // Jika ada gambar baru, upload dan hapus gambar lama dari storage
+      let newImage = null;
+      if (req.file) {
+        newImage = await uploadFile(req.file);
+        // Hapus gambar lama dari storage jika ada
+        if (existingSejarah.image) {
+          await deleteFile(existingSejarah.image);
+        }
+      }
+
+      // Perbarui Sejarah
+      const updatedSejarah = await prisma.sejarah.update({
+        where: { id: parseInt(id) },
+        data: {
+          ...richTextData("sejarah", req.body),
+          image: newImage || existingSejarah.image, // Gunakan gambar baru jika ada
+        },
+      });
+
+      res.json(withFileUrls(updatedSejarah));
+    } catch (error) {
+      console.error("Error updating Sejarah:", error);
+      res.status(500).json({ error: "Failed to update Sejarah" });
+    }
+  }
+);
+
+// Get Visi Misi
+app.get("/api/visi-misi", async (req, res) => {
+  const visiMisi = await prisma.visiMisi.findFirst();
+  res.json(visiMisi);
+});
+
+// Update Visi Misi
+app.put(
+  "/api/visi-misi/:id",
+  authenticateToken,
+  authorize("visiMisi"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { visi, misi } = req.body;
+
+    try {
+      const updatedVisiMisi = await prisma.visiMisi.update({
+        where: { id: parseInt(id) },
+        data: {
+          visi,
+          misi,
+        },
+      });
+
+      res.json(updatedVisiMisi);
+    } catch (error) {
+      console.error("Error updating visi misi:", error);
+      res.status(500).json({ error: "Failed to update visi misi" });
+    }
+  }
+);
+
+// Rekap kelas dan siswa di tahun ajaran terbaru (semua kelas jika belum
+// ada yang diisi tahun ajarannya). null jika belum ada data kelas.
+const kelasSummary = async () => {
+  const latestKelas = await prisma.kelasSR.findFirst({
+    where: { tahunAjaran: { not: null } },
+    orderBy: { tahunAjaran: "desc" },
+  });
+  const tahunAjaran = latestKelas?.tahunAjaran ?? null;
+
+  const groups = await prisma.kelasSR.groupBy({
+    by: ["tingkat"],
+    where: tahunAjaran ? { tahunAjaran } : {},
+    _count: { _all: true },
+    _sum: { jumlahSiswa: true },
+    orderBy: { tingkat: "asc" },
+  });
+  if (groups.length === 0) return null;
+
+  const perTingkat = groups.map((group) => ({
+    tingkat: group.tingkat,
+    jumlahKelas: group._count._all,
+    jumlahSiswa: group._sum.jumlahSiswa ?? 0,
+  }));
+  const total = (field) =>
+    perTingkat.reduce((sum, item) => sum + item[field], 0);
+
+  return {
+    tahunAjaran,
+    jumlahKelas: total("jumlahKelas"),
+    jumlahSiswa: total("jumlahSiswa"),
+    perTingkat,
+  };
+};
+
+// jumlahSiswa dihitung dari data kelas jika ada; nilai yang diisi manual
+// hanya dipakai selama data kelas masih kosong
+const withDerivedSchoolInfo = async (schoolInfo) => {
+  const summary = await kelasSummary();
+  return summary
+    ? { ...schoolInfo, jumlahSiswa: summary.jumlahSiswa }
+    : schoolInfo;
+};
+
+app.get("/api/schoolinfo", async (req, res) => {
+  const schoolInfo = await prisma.schoolInfo.findFirst();
+  if (!schoolInfo) {
+    return res.status(404).json({ message: "School information not found" });
+  }
+  res.json(await withDerivedSchoolInfo(schoolInfo));
+});
+
+// Update SchoolInfo
+app.put(
+  "/api/schoolinfo/:id",
+  authenticateToken,
+  authorize("schoolInfo"),
+  async (req, res) => {
+    const { id } = req.params;
+    const {
+      akreditasi,
+      jumlahGuru,
+      tenagaPendidikan,
+      jumlahSiswa,
+      namaSekolah,
+      nspn,
+      jenjangPendidikan,
+      statusSekolah,
+      alamat,
+      rtRw,
+      kodePos,
+      kecamatan,
+      kabKota,
+      provinsi,
+      negara,
+      posisiGeografis,
+    } = req.body;
+
+    try {
+      const updatedSchoolInfo = await prisma.schoolInfo.update({
+        where: { id: parseInt(id) },
+        data: {
+          akreditasi,
+          jumlahGuru,
+          tenagaPendidikan,
+          jumlahSiswa,
+          namaSekolah,
+          nspn,
+          jenjangPendidikan,
+          statusSekolah,
+          alamat,
+          rtRw,
+          kodePos,
+          kecamatan,
+          kabKota,
+          provinsi,
+          negara,
+          posisiGeografis,
+        },
+      });
+
+      res.json(await withDerivedSchoolInfo(updatedSchoolInfo));
+    } catch (error) {
+      console.error("Error updating school info:", error);
+      res.status(500).json({ error: "Failed to update school info" });
+    }
+  }
+);
+
+// Endpoint untuk mendapatkan strukturOrganisasi
+app.get(
+  "/api/strukturOrganisasi",
+  listHandler("strukturOrganisasi", {
+    sortFields: ["id", "name", "role"],
+    filters: { name: "contains", role: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+// Add Struktur Organisasi with image upload
+app.post(
+  "/api/strukturOrganisasi",
+  authenticateToken,
+  authorize("strukturOrganisasi"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { role, name } = req.body;
+
+    try {
+      const image = req.file ? await uploadFile(req.file) : null;
+      const newPerson = await prisma.strukturOrganisasi.create({
+        data: {
+          role,
+          name,
+          image,
+        },
+      });
+      res.json(withFileUrls(newPerson));
+    } catch (error) {
+      console.error("Failed to create struktur organisasi:", error);
+      res.status(500).json({ error: "Failed to create struktur organisasi" });
+    }
+  }
+);
+
+// Update Struktur Organisasi with image upload
+app.put(
+  "/api/strukturOrganisasi/:id",
+  authenticateToken,
+  authorize("strukturOrganisasi"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { role, name } = req.body;
+    let newImage = null;
+
+    try {
+      const existingPerson = await prisma.strukturOrganisasi.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingPerson) {
+        return res.status(404).json({ error: "Struktur Organisasi not found" });
+      }
+
+      // If a new file is uploaded, delete the old one
+      if (req.file) {
+        newImage = await uploadFile(req.file);
 
-    if (!existingSarana) {
-      return res.status(404).json({ error: "Sarana not found" });
+        if (existingPerson.image) {
+          await deleteFile(existingPerson.image);
+        }
+      }
+
+      const updatedPerson = await prisma.strukturOrganisasi.update({
+        where: { id: parseInt(id) },
+        data: {
+          role,
+          name,
+          image: newImage || existingPerson.image, // Use new image or keep old one
+        },
+      });
+      res.json(withFileUrls(updatedPerson));
+    } catch (error) {
+      console.error("Failed to update struktur organisasi:", error);
+      res.status(500).json({ error: "Failed to update struktur organisasi" });
     }
+  }
+);
 
-    // Hapus file terkait dari Supabase jika ada
-    if (existingSarana.image) {
-      await deleteFromSupabase(existingSarana.image);
+// Delete Struktur Organisasi and its image from storage
+app.delete(
+  "/api/strukturOrganisasi/:id",
+  authenticateToken,
+  authorize("strukturOrganisasi"),
+  async (req, res) => {
+    const { id } = req.params;
+    const parsedId = parseInt(id); // Ensure id is an integer
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ error: "Invalid ID" });
     }
 
-    // Hapus data sarana dari database
-    await prisma.sarana.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting sarana:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete sarana", details: error.message });
+    try {
+      const existingPerson = await prisma.strukturOrganisasi.findUnique({
+        where: { id: parsedId },
+      });
+
+      if (!existingPerson) {
+        return res.status(404).json({ error: "Struktur Organisasi not found" });
+      }
+
+      // Delete the file associated with the person from storage if exists
+      if (existingPerson.image) {
+        await deleteFile(existingPerson.image);
+      }
+
+      // Delete the structure from the database
+      await prisma.strukturOrganisasi.delete({
+        where: { id: parsedId },
+      });
+
+      res.status(204).send(); // Successfully deleted
+    } catch (error) {
+      console.error(
+        "Failed to delete struktur organisasi with id:",
+        parsedId,
+        error
+      );
+      res.status(500).send("Error deleting struktur organisasi");
+    }
   }
-});
+);
 
-// Get Headmaster Message
-app.get("/api/headmaster-message", async (req, res) => {
-  const headmasterMessage = await prisma.headmasterMessage.findFirst();
-  res.json(headmasterMessage);
+// Create new staff or teacher
+app.post(
+  "/api/staffandteachers",
+  authenticateToken,
+  authorize("staffAndTeachers"),
+  uploadImage.single("image"),
+  async (req, res) => {
+    const { name, role } = req.body;
+
+    try {
+      const { image, imageVariants } = req.file
+        ? await uploadImageWithVariants(req.file)
+        : { image: null }; // Upload to storage
+
+      const newStaffAndTeacher = await prisma.staffAndTeacher.create({
+        data: {
+          name,
+          role,
+          image, // Save the storage key of the image
+          imageVariants,
+        },
+      });
+      res.status(201).json(withFileUrls(newStaffAndTeacher));
+    } catch (error) {
+      console.error("Error creating staff or teacher:", error);
+      res.status(500).json({ error: "Failed to create staff or teacher" });
+    }
+  }
+);
+
+// Get all staff and teachers
+app.get(
+  "/api/staffandteachers",
+  listHandler("staffAndTeacher", {
+    sortFields: ["id", "name", "role"],
+    filters: { name: "contains", role: "contains" },
+    fileFields: ["image"],
+  })
+);
+
+// Get staff and teacher by ID
+app.get("/api/staffandteachers/:id", async (req, res) => {
+  const { id } = req.params;
+  const staffAndTeacher = await prisma.staffAndTeacher.findUnique({
+    where: { id: parseInt(id) },
+  });
+  res.json(withFileUrls(staffAndTeacher));
 });
 
-// Update Headmaster Message
+// Update staff and teacher
 app.put(
-  "/api/headmaster-message/:id",
-  upload.single("image"),
+  "/api/staffandteachers/:id",
+  authenticateToken,
+  authorize("staffAndTeachers"),
+  uploadImage.single("image"),
   async (req, res) => {
     const { id } = req.params;
-    const { message, description, headmasterName } = req.body;
+    const { name, role } = req.body;
 
     try {
-      // Ambil data Headmaster Message lama
-      const existingMessage = await prisma.headmasterMessage.findUnique({
+      // Get the existing staff/teacher data
+      const existingStaffAndTeacher = await prisma.staffAndTeacher.findUnique({
         where: { id: parseInt(id) },
       });
 
-      if (!existingMessage) {
-        return res.status(404).json({ error: "Headmaster Message not found" });
+      if (!existingStaffAndTeacher) {
+        return res.status(404).json({ error: "Staff or teacher not found" });
       }
 
-      // Jika ada gambar baru, upload dan hapus gambar lama dari Supabase
       let newImage = null;
+
+      // If there's a new image, upload it and delete the old one
       if (req.file) {
-        newImage = await uploadToSupabase(req.file);
-        // Hapus gambar lama dari Supabase jika ada
-        if (existingMessage.image) {
-          await deleteFromSupabase(existingMessage.image);
+        newImage = await uploadImageWithVariants(req.file);
+
+        // Delete the old image from storage
+        if (existingStaffAndTeacher.image) {
+          await deleteImage(
+            existingStaffAndTeacher.image,
+            existingStaffAndTeacher.imageVariants
+          );
         }
       }
 
-      // Perbarui Headmaster Message
-      const updatedHeadmasterMessage = await prisma.headmasterMessage.update({
+      // Update the staff/teacher record
+      const updatedStaffAndTeacher = await prisma.staffAndTeacher.update({
         where: { id: parseInt(id) },
         data: {
-          message,
-          description,
-          image: newImage || existingMessage.image, // Gunakan gambar baru jika ada
-          headmasterName,
+          name,
+          role,
+          // Set the new image or keep the old one
+          image: newImage?.image || existingStaffAndTeacher.image,
+          imageVariants: newImage?.imageVariants,
         },
       });
-      res.json(updatedHeadmasterMessage);
-    } catch (error) {
-      console.error("Error updating headmaster message:", error);
-      res.status(500).json({ error: "Failed to update headmaster message" });
+
+      res.json(withFileUrls(updatedStaffAndTeacher));
+    } catch (error) {
+      console.error("Error updating staff or teacher:", error);
+      res.status(500).json({ error: "Failed to update staff or teacher" });
+    }
+  }
+);
+
+// Delete staff or teacher
+app.delete(
+  "/api/staffandteachers/:id",
+  authenticateToken,
+  authorize("staffAndTeachers"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // Get the existing staff/teacher data
+      const existingStaffAndTeacher = await prisma.staffAndTeacher.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!existingStaffAndTeacher) {
+        return res.status(404).json({ error: "Staff or teacher not found" });
+      }
+
+      // Delete the image from storage if it exists
+      if (existingStaffAndTeacher.image) {
+        await deleteImage(
+          existingStaffAndTeacher.image,
+          existingStaffAndTeacher.imageVariants
+        );
+      }
+
+      // Delete the staff/teacher record
+      await prisma.staffAndTeacher.delete({
+        where: { id: parseInt(id) },
+      });
+
+      res.status(204).send(); // Respond with no content
+    } catch (error) {
+      console.error("Error deleting staff or teacher:", error);
+      res.status(500).json({ error: "Failed to delete staff or teacher" });
+    }
+  }
+);
+
+const KELAS_TINGKAT = [7, 8, 9];
+const KELAS_INCLUDE = { waliKelas: true };
+const KELAS_FILE_FIELDS = [{ waliKelas: ["image"] }];
+
+// Validasi body kelas. Field yang tidak dikirim tidak diubah,
+// waliKelasId null atau "" melepas wali kelas.
+const kelasData = async (body, isCreate = false) => {
+  const { nama, deskripsi, tahunAjaran } = body;
+
+  if (isCreate && (!nama || body.tingkat === undefined || !tahunAjaran)) {
+    throw badRequest("Missing required fields");
+  }
+
+  const data = { nama, deskripsi, tahunAjaran };
+
+  if (tahunAjaran !== undefined && !isValidAcademicYear(tahunAjaran)) {
+    throw badRequest("Invalid tahunAjaran, expected e.g. 2024/2025");
+  }
+
+  if (body.tingkat !== undefined) {
+    data.tingkat = Number(body.tingkat);
+    if (!KELAS_TINGKAT.includes(data.tingkat)) {
+      throw badRequest(`tingkat must be one of: ${KELAS_TINGKAT.join(", ")}`);
+    }
+  }
+
+  if (body.jumlahSiswa !== undefined) {
+    data.jumlahSiswa = Number(body.jumlahSiswa);
+    if (!Number.isInteger(data.jumlahSiswa) || data.jumlahSiswa < 0) {
+      throw badRequest("jumlahSiswa must be a non-negative integer");
+    }
+  }
+
+  if (body.waliKelasId === null || body.waliKelasId === "") {
+    data.waliKelasId = null;
+  } else if (body.waliKelasId !== undefined) {
+    data.waliKelasId = Number(body.waliKelasId);
+    const waliKelas =
+      Number.isInteger(data.waliKelasId) &&
+      (await prisma.staffAndTeacher.findUnique({
+        where: { id: data.waliKelasId },
+      }));
+    if (!waliKelas) {
+      throw badRequest("waliKelasId does not match any staff or teacher");
+    }
+  }
+
+  return data;
+};
+
+// Nama kelas tidak boleh dipakai dua kali di tahun ajaran yang sama
+const isKelasNameTaken = async (nama, tahunAjaran, excludeId) =>
+  Boolean(
+    await prisma.kelasSR.findFirst({
+      where: {
+        nama,
+        tahunAjaran,
+        id: excludeId ? { not: excludeId } : undefined,
+      },
+    })
+  );
+
+// Get all kelas, bisa difilter ?tingkat=7&tahunAjaran=2024/2025
+app.get(
+  "/api/kelas",
+  listHandler("kelasSR", {
+    sortFields: ["id", "nama", "tingkat", "tahunAjaran", "jumlahSiswa"],
+    defaultSort: "tingkat,nama",
+    filters: { nama: "contains", tahunAjaran: "equals" },
+    where: (req) => {
+      if (req.query.tingkat === undefined || req.query.tingkat === "") {
+        return {};
+      }
+      const tingkat = Number(req.query.tingkat);
+      if (!Number.isInteger(tingkat)) throw badRequest("Invalid tingkat");
+      return { tingkat };
+    },
+    include: KELAS_INCLUDE,
+    fileFields: KELAS_FILE_FIELDS,
+  })
+);
+
+// Rekap jumlah kelas dan siswa per tingkat di tahun ajaran terbaru
+app.get("/api/kelas/summary", async (req, res) => {
+  try {
+    const summary = await kelasSummary();
+    res.json(
+      summary || {
+        tahunAjaran: null,
+        jumlahKelas: 0,
+        jumlahSiswa: 0,
+        perTingkat: [],
+      }
+    );
+  } catch (error) {
+    console.error("Error fetching kelas summary:", error);
+    res.status(500).json({ error: "Failed to fetch kelas summary" });
+  }
+});
+
+// Get kelas by ID
+app.get("/api/kelas/:id", async (req, res) => {
+  const kelasId = Number(req.params.id);
+  if (!isValidId(kelasId)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const kelas = await prisma.kelasSR.findUnique({
+      where: { id: kelasId },
+      include: KELAS_INCLUDE,
+    });
+
+    if (!kelas) {
+      return res.status(404).json({ error: "Kelas not found" });
+    }
+
+    res.json(withFileUrls(kelas, KELAS_FILE_FIELDS));
+  } catch (error) {
+    console.error("Error fetching kelas:", error);
+    res.status(500).json({ error: "Failed to fetch kelas" });
+  }
+});
+
+// Add kelas
+app.post(
+  "/api/kelas",
+  authenticateToken,
+  authorize("kelas"),
+  async (req, res) => {
+    try {
+      const data = await kelasData(req.body, true);
+
+      if (await isKelasNameTaken(data.nama, data.tahunAjaran)) {
+        return res
+          .status(409)
+          .json({ error: "Kelas already exists in this tahunAjaran" });
+      }
+
+      const newKelas = await prisma.kelasSR.create({
+        data,
+        include: KELAS_INCLUDE,
+      });
+      res.status(201).json(withFileUrls(newKelas, KELAS_FILE_FIELDS));
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error creating kelas:", error);
+      res.status(500).json({ error: "Failed to create kelas" });
+    }
+  }
+);
+
+// Update kelas
+app.put(
+  "/api/kelas/:id",
+  authenticateToken,
+  authorize("kelas"),
+  async (req, res) => {
+    const kelasId = Number(req.params.id);
+    if (!isValidId(kelasId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const existingKelas = await prisma.kelasSR.findUnique({
+        where: { id: kelasId },
+      });
+
+      if (!existingKelas) {
+        return res.status(404).json({ error: "Kelas not found" });
+      }
+
+      const data = await kelasData(req.body);
+
+      if (
+        await isKelasNameTaken(
+          data.nama ?? existingKelas.nama,
+          data.tahunAjaran ?? existingKelas.tahunAjaran,
+          kelasId
+        )
+      ) {
+        return res
+          .status(409)
+          .json({ error: "Kelas already exists in this tahunAjaran" });
+      }
+
+      const updatedKelas = await prisma.kelasSR.update({
+        where: { id: kelasId },
+        data,
+        include: KELAS_INCLUDE,
+      });
+      res.json(withFileUrls(updatedKelas, KELAS_FILE_FIELDS));
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error updating kelas:", error);
+      res.status(500).json({ error: "Failed to update kelas" });
+    }
+  }
+);
+
+// Delete kelas
+app.delete(
+  "/api/kelas/:id",
+  authenticateToken,
+  authorize("kelas"),
+  async (req, res) => {
+    const kelasId = Number(req.params.id);
+    if (!isValidId(kelasId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    try {
+      const existingKelas = await prisma.kelasSR.findUnique({
+        where: { id: kelasId },
+      });
+
+      if (!existingKelas) {
+        return res.status(404).json({ error: "Kelas not found" });
+      }
+
+      await prisma.kelasSR.delete({ where: { id: kelasId } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting kelas:", error);
+      res.status(500).json({ error: "Failed to delete kelas" });
+    }
+  }
+);
+
+// Batas panjang [min, max] field form kontak
+const CONTACT_FIELD_LIMITS = {
+  name: [2, 100],
+  email: [6, 254],
+  phone: [8, 20],
+  message: [10, 5000],
+};
+// Field jebakan yang disembunyikan di form, hanya bot yang mengisinya
+const CONTACT_HONEYPOT_FIELD = "website";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Nomor HP atau telepon rumah Indonesia dengan awalan 0, 62, atau +62
+const PHONE_PATTERN = /^(?:\+62|62|0)([2-9]\d{6,11})$/;
+
+const contactAttemptStore = createMemoryAttemptStore();
+
+// Nomor disimpan dalam format internasional, mis. 0812-3456-7890 -> +6281234567890
+const normalizePhone = (phone) => {
+  const match = PHONE_PATTERN.exec(phone.replace(/[\s().-]/g, ""));
+  return match ? `+62${match[1]}` : null;
+};
+
+// Validasi form kontak. Mengembalikan { data } yang sudah dirapikan,
+// atau { errors } berisi pesan per field.
+const validateContact = (body) => {
+  const data = {};
+  const errors = {};
+
+  for (const [field, [min, max]] of Object.entries(CONTACT_FIELD_LIMITS)) {
+    data[field] = typeof body[field] === "string" ? body[field].trim() : "";
+
+    if (!data[field]) {
+      errors[field] = `${field} is required`;
+    } else if (data[field].length < min || data[field].length > max) {
+      errors[field] = `${field} must be between ${min} and ${max} characters`;
+    }
+  }
+
+  if (!errors.email && !EMAIL_PATTERN.test(data.email)) {
+    errors.email = "Invalid email address";
+  }
+
+  if (!errors.phone) {
+    data.phone = normalizePhone(data.phone);
+    if (!data.phone) errors.phone = "Invalid Indonesian phone number";
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { data };
+};
+
+const formatSchoolDate = (date) =>
+  date.toLocaleString("id-ID", {
+    timeZone: SCHOOL_TIMEZONE,
+    dateStyle: "long",
+    timeStyle: "short",
+  });
+
+// Isi email untuk pesan kontak. Balasan pengirim diarahkan ke alamat kantor.
+const CONTACT_EMAILS = {
+  notification: (contact) => ({
+    to: CONTACT_NOTIFY_EMAILS.join(", "),
+    replyTo: contact.email,
+    subject: `[Kontak] Pesan baru dari ${contact.name}`,
+    text: [
+      "Pesan baru dari form kontak website.",
+      "",
+      `Nama: ${contact.name}`,
+      `Email: ${contact.email}`,
+      `Telepon: ${contact.phone}`,
+      `Waktu: ${formatSchoolDate(contact.createdAt)}`,
+      "",
+      contact.message,
+    ].join("\n"),
+  }),
+  // Isi tetap tanpa teks dari pengirim, supaya form tidak bisa dipakai
+  // untuk mengirim teks sembarang atas nama sekolah
+  acknowledgement: (contact) => ({
+    to: contact.email,
+    replyTo: CONTACT_NOTIFY_EMAILS[0],
+    subject: `Pesan Anda telah kami terima - ${SITE_NAME}`,
+    text: [
+      "Halo,",
+      "",
+      `Terima kasih telah menghubungi ${SITE_NAME}. Pesan Anda sudah kami terima dan akan kami balas melalui email ini.`,
+      "",
+      "Jika Anda tidak merasa mengirim pesan, abaikan email ini.",
+    ].join("\n"),
+  }),
+  reply: (contact, message) => ({
+    to: contact.email,
+    replyTo: CONTACT_NOTIFY_EMAILS[0],
+    text: [
+      message,
+      "",
+      "---",
+      `Pesan Anda pada ${formatSchoolDate(contact.createdAt)}:`,
+      ...contact.message.split("\n").map((line) => `> ${line}`),
+    ].join("\n"),
+  }),
+};
+
+// Beri tahu kantor dan kirim tanda terima ke pengirim. Gagal kirim email
+// hanya dicatat, pesan tetap tersimpan dan terlihat di inbox.
+const sendNewContactEmails = async (contact) => {
+  const mails = [];
+  if (CONTACT_NOTIFY_EMAILS.length > 0) {
+    mails.push(CONTACT_EMAILS.notification(contact));
+  }
+  if (CONTACT_AUTO_ACKNOWLEDGE) {
+    mails.push(CONTACT_EMAILS.acknowledgement(contact));
+  }
+
+  const results = await Promise.allSettled(
+    mails.map((mail) => mailer.send(mail))
+  );
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error("Error sending contact email:", result.reason);
+    }
+  }
+};
+
+// Create a new contact message dari form publik. Berurutan: batas per IP,
+// honeypot, validasi, challenge, lalu cek pesan ganda. Kiriman yang gagal
+// validasi tidak dihitung ke batas per IP agar salah ketik tidak dihukum.
+app.post("/api/contacts", async (req, res) => {
+  const ipKey = `contact:${req.ip}`;
+  const windowMs = CONTACT_RATE_WINDOW_MINUTES * 60 * 1000;
+  const countAttempt = () =>
+    contactAttemptStore.increment(ipKey, {
+      max: CONTACT_MAX_MESSAGES_PER_IP,
+      windowMs,
+      lockoutMs: windowMs,
+    });
+
+  try {
+    const attempt = await contactAttemptStore.get(ipKey);
+    if (attempt?.lockedUntil > Date.now()) {
+      const retryAfter = Math.ceil((attempt.lockedUntil - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many messages, please try again later",
+        retryAfter,
+      });
     }
-  }
-);
 
-// Get Sejarah
-app.get("/api/sejarah", async (req, res) => {
-  const sejarah = await prisma.sejarah.findFirst();
-  res.json(sejarah);
-});
+    // Bot dibalas seolah berhasil supaya tidak mencoba cara lain
+    if (req.body[CONTACT_HONEYPOT_FIELD]) {
+      await countAttempt();
+      return res.status(201).json({ message: "Message sent" });
+    }
 
-// Update Sejarah
-app.put("/api/sejarah/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { text } = req.body;
+    const { data, errors } = validateContact(req.body);
+    if (errors) {
+      return res
+        .status(400)
+        .json({ error: "Invalid contact message", fields: errors });
+    }
 
-  try {
-    // Ambil data Sejarah lama
-    const existingSejarah = await prisma.sejarah.findUnique({
-      where: { id: parseInt(id) },
-    });
+    await countAttempt();
 
-    if (!existingSejarah) {
-      return res.status(404).json({ error: "Sejarah not found" });
+    let challengePassed;
+    try {
+      challengePassed = await challenge.verify(req.body.challengeToken, req.ip);
+    } catch (error) {
+      console.error("Error verifying challenge:", error);
+      return res
+        .status(503)
+        .json({ error: "Challenge verification is unavailable, try again" });
     }
 
-    // Jika ada gambar baru, upload dan hapus gambar lama dari Supabase
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
-      // Hapus gambar lama dari Supabase jika ada
-      if (existingSejarah.image) {
-        await deleteFromSupabase(existingSejarah.image);
-      }
+    if (!challengePassed) {
+      return res.status(400).json({ error: "Challenge verification failed" });
     }
 
-    // Perbarui Sejarah
-    const updatedSejarah = await prisma.sejarah.update({
-      where: { id: parseInt(id) },
-      data: {
-        text,
-        image: newImage || existingSejarah.image, // Gunakan gambar baru jika ada
+    // Pesan yang sama dari email yang sama (mis. tombol kirim ditekan dua
+    // kali) tidak disimpan lagi
+    const duplicate = await prisma.contact.findFirst({
+      where: {
+        email: { equals: data.email, mode: "insensitive" },
+        message: data.message,
+        createdAt: {
+          gte: new Date(
+            Date.now() - CONTACT_DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000
+          ),
+        },
       },
     });
 
-    res.json(updatedSejarah);
+    if (duplicate) {
+      return res
+        .status(409)
+        .json({ error: "This message has already been sent" });
+    }
+
+    const newContact = await prisma.contact.create({ data });
+
+    // Email ditunggu karena di serverless (Vercel) proses bisa dibekukan
+    // setelah respons terkirim. SMTP yang lambat dibatasi SMTP_TIMEOUT_MS,
+    // dan email yang gagal hanya dicatat tanpa menggagalkan request.
+    await sendNewContactEmails(newContact);
+    res.status(201).json(newContact);
   } catch (error) {
-    console.error("Error updating Sejarah:", error);
-    res.status(500).json({ error: "Failed to update Sejarah" });
+    console.error("Error creating contact:", error);
+    res.status(500).json({ error: "Failed to create contact message" });
   }
 });
 
-// Get Visi Misi
-app.get("/api/visi-misi", async (req, res) => {
-  const visiMisi = await prisma.visiMisi.findFirst();
-  res.json(visiMisi);
+// Konfigurasi challenge untuk form kontak di frontend
+app.get("/api/contacts/challenge", (req, res) => {
+  res.json({
+    provider: challenge.name,
+    siteKey: process.env.CHALLENGE_SITE_KEY || null,
+    honeypotField: CONTACT_HONEYPOT_FIELD,
+  });
 });
 
-// Update Visi Misi
-app.put("/api/visi-misi/:id", async (req, res) => {
-  const { id } = req.params;
-  const { visi, misi } = req.body;
+const CONTACT_STATUSES = ["new", "read", "replied", "archived"];
+const CONTACT_ADMIN = { select: { id: true, username: true, role: true } };
+const CONTACT_INCLUDE = {
+  assignedTo: CONTACT_ADMIN,
+  _count: { select: { notes: true, replies: true } },
+};
 
-  const updatedVisiMisi = await prisma.visiMisi.update({
-    where: { id: parseInt(id) },
-    data: {
-      visi,
-      misi,
-    },
-  });
+// Filter inbox tambahan:
+//   status       - new, read, replied, archived
+//   assignedTo   - id admin, "me", atau "none" (belum ditugaskan)
+//   q            - cari di nama, email, telepon, dan isi pesan
+const contactInboxWhere = (req) => {
+  const { status, assignedTo, q } = req.query;
+  const where = {};
+
+  if (status) {
+    if (!CONTACT_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of: ${CONTACT_STATUSES.join(", ")}`);
+    }
+    where.status = status;
+  }
 
-  res.json(updatedVisiMisi);
-});
+  if (assignedTo === "me") {
+    where.assignedToId = req.user.id;
+  } else if (assignedTo === "none") {
+    where.assignedToId = null;
+  } else if (assignedTo) {
+    where.assignedToId = Number(assignedTo);
+    if (!Number.isInteger(where.assignedToId)) {
+      throw badRequest("Invalid assignedTo");
+    }
+  }
 
-app.get("/api/schoolinfo", async (req, res) => {
-  const schoolInfo = await prisma.schoolInfo.findFirst();
-  if (!schoolInfo) {
-    return res.status(404).json({ message: "School information not found" });
+  if (q) {
+    where.OR = ["name", "email", "phone", "message"].map((field) => ({
+      [field]: { contains: String(q), mode: "insensitive" },
+    }));
   }
-  res.json(schoolInfo);
-});
 
-// Update SchoolInfo
-app.put("/api/schoolinfo/:id", async (req, res) => {
-  const { id } = req.params;
-  const {
-    akreditasi,
-    jumlahGuru,
-    tenagaPendidikan,
-    jumlahSiswa,
-    namaSekolah,
-    nspn,
-    jenjangPendidikan,
-    statusSekolah,
-    alamat,
-    rtRw,
-    kodePos,
-    kecamatan,
-    kabKota,
-    provinsi,
-    negara,
-    posisiGeografis,
-  } = req.body;
-
-  const updatedSchoolInfo = await prisma.schoolInfo.update({
-    where: { id: parseInt(id) },
-    data: {
-      akreditasi,
-      jumlahGuru,
-      tenagaPendidikan,
-      jumlahSiswa,
-      namaSekolah,
-      nspn,
-      jenjangPendidikan,
-      statusSekolah,
-      alamat,
-      rtRw,
-      kodePos,
-      kecamatan,
-      kabKota,
-      provinsi,
-      negara,
-      posisiGeografis,
-    },
-  });
+  return where;
+};
 
-  res.json(updatedSchoolInfo);
-});
+// Status selain "new" berarti sudah dibaca, kembali ke "new" berarti belum
+const contactReadAt = (status, contact) => {
+  if (status === undefined) return undefined;
+  if (status === "new") return null;
+  return contact.readAt ?? new Date();
+};
 
-// Endpoint untuk mendapatkan strukturOrganisasi
-app.get("/api/strukturOrganisasi", async (req, res) => {
-  try {
-    const strukturOrganisasi = await prisma.strukturOrganisasi.findMany();
-    res.json(strukturOrganisasi);
-  } catch (error) {
-    console.error("Failed to fetch struktur organisasi:", error);
-    res.status(500).json({ error: "Failed to fetch struktur organisasi" });
+// Get all contact messages
+app.get(
+  "/api/contacts",
+  authenticateToken,
+  authorize("contacts"),
+  listHandler("contact", {
+    sortFields: ["id", "name", "email", "status", "createdAt", "updatedAt"],
+    defaultSort: "-createdAt",
+    filters: { name: "contains", email: "contains" },
+    dateRanges: { created: "createdAt" },
+    where: contactInboxWhere,
+    include: CONTACT_INCLUDE,
+  })
+);
+
+// Jumlah pesan yang belum dibaca, untuk badge di dashboard admin
+app.get(
+  "/api/contacts/unread-count",
+  authenticateToken,
+  authorize("contacts"),
+  async (req, res) => {
+    try {
+      const count = await prisma.contact.count({ where: { status: "new" } });
+      res.json({ count });
+    } catch (error) {
+      console.error("Error counting unread contacts:", error);
+      res.status(500).json({ error: "Failed to count unread contacts" });
+    }
   }
-});
+);
 
-// Add Struktur Organisasi with image upload
-app.post(
-  "/api/strukturOrganisasi",
-  upload.single("image"),
+// Get contact message by ID beserta catatannya. Pesan baru otomatis
+// ditandai sudah dibaca saat dibuka.
+app.get(
+  "/api/contacts/:id",
+  authenticateToken,
+  authorize("contacts"),
   async (req, res) => {
-    const { role, name } = req.body;
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+    const contactId = Number(req.params.id);
+    if (!isValidId(contactId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
 
     try {
-      const newPerson = await prisma.strukturOrganisasi.create({
-        data: {
-          role,
-          name,
-          image,
+      const existingContact = await prisma.contact.findUnique({
+        where: { id: contactId },
+      });
+
+      if (!existingContact) {
+        return res.status(404).json({ error: "Contact not found" });
+      }
+
+      const contact = await prisma.contact.update({
+        where: { id: contactId },
+        data:
+          existingContact.status === "new"
+            ? { status: "read", readAt: new Date() }
+            : {},
+        include: {
+          ...CONTACT_INCLUDE,
+          notes: {
+            include: { admin: CONTACT_ADMIN },
+            orderBy: { createdAt: "asc" },
+          },
+          replies: {
+            include: { admin: CONTACT_ADMIN },
+            orderBy: { createdAt: "asc" },
+          },
         },
       });
-      res.json(newPerson);
+      res.json(contact);
     } catch (error) {
-      console.error("Failed to create struktur organisasi:", error);
-      res.status(500).json({ error: "Failed to create struktur organisasi" });
+      console.error("Error fetching contact:", error);
+      res.status(500).json({ error: "Failed to fetch contact" });
     }
   }
 );
 
-// Update Struktur Organisasi with image upload
+// Ubah status dan/atau admin yang menangani pesan.
+// assignedToId null melepas penugasan.
 app.put(
-  "/api/strukturOrganisasi/:id",
-  upload.single("image"),
+  "/api/contacts/:id",
+  authenticateToken,
+  authorize("contacts"),
   async (req, res) => {
-    const { id } = req.params;
-    const { role, name } = req.body;
-    let newImage = null;
+    const contactId = Number(req.params.id);
+    if (!isValidId(contactId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const { status, assignedToId } = req.body;
+
+    if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${CONTACT_STATUSES.join(", ")}`,
+      });
+    }
 
     try {
-      const existingPerson = await prisma.strukturOrganisasi.findUnique({
-        where: { id: parseInt(id) },
+      const existingContact = await prisma.contact.findUnique({
+        where: { id: contactId },
       });
 
-      if (!existingPerson) {
-        return res.status(404).json({ error: "Struktur Organisasi not found" });
+      if (!existingContact) {
+        return res.status(404).json({ error: "Contact not found" });
       }
 
-      // If a new file is uploaded, delete the old one
-      if (req.file) {
-        newImage = await uploadToSupabase(req.file);
-
-        if (existingPerson.image) {
-          await deleteFromSupabase(existingPerson.image);
+      if (assignedToId !== undefined && assignedToId !== null) {
+        const assignee = await prisma.admin.findUnique({
+          where: { id: parseInt(assignedToId) || 0 },
+        });
+        if (
+          !assignee ||
+          !assignee.isActive ||
+          !PERMISSIONS.contacts.includes(assignee.role)
+        ) {
+          return res
+            .status(400)
+            .json({ error: "Contacts can only be assigned to inbox admins" });
         }
       }
 
-      const updatedPerson = await prisma.strukturOrganisasi.update({
-        where: { id: parseInt(id) },
+      const updatedContact = await prisma.contact.update({
+        where: { id: contactId },
         data: {
-          role,
-          name,
-          image: newImage || existingPerson.image, // Use new image or keep old one
+          status,
+          readAt: contactReadAt(status, existingContact),
+          assignedToId:
+            assignedToId === undefined || assignedToId === null
+              ? assignedToId
+              : parseInt(assignedToId),
         },
+        include: CONTACT_INCLUDE,
       });
-      res.json(updatedPerson);
+      res.json(updatedContact);
     } catch (error) {
-      console.error("Failed to update struktur organisasi:", error);
-      res.status(500).json({ error: "Failed to update struktur organisasi" });
+      console.error("Error updating contact:", error);
+      res.status(500).json({ error: "Failed to update contact" });
     }
   }
 );
 
-// Delete Struktur Organisasi and its image from Supabase
-app.delete("/api/strukturOrganisasi/:id", async (req, res) => {
-  const { id } = req.params;
-  const parsedId = parseInt(id); // Ensure id is an integer
-  if (isNaN(parsedId)) {
-    return res.status(400).json({ error: "Invalid ID" });
-  }
+// Tambah catatan internal pada pesan
+app.post(
+  "/api/contacts/:id/notes",
+  authenticateToken,
+  authorize("contacts"),
+  async (req, res) => {
+    const contactId = Number(req.params.id);
+    if (!isValidId(contactId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
 
-  try {
-    const existingPerson = await prisma.strukturOrganisasi.findUnique({
-      where: { id: parsedId },
-    });
+    const { content } = req.body;
 
-    if (!existingPerson) {
-      return res.status(404).json({ error: "Struktur Organisasi not found" });
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({ error: "Note content is required" });
     }
 
-    // Delete the file associated with the person from Supabase if exists
-    if (existingPerson.image) {
-      await deleteFromSupabase(existingPerson.image);
-    }
+    try {
+      const contact = await prisma.contact.findUnique({
+        where: { id: contactId },
+      });
 
-    // Delete the structure from the database
-    await prisma.strukturOrganisasi.delete({
-      where: { id: parsedId },
-    });
+      if (!contact) {
+        return res.status(404).json({ error: "Contact not found" });
+      }
 
-    res.status(204).send(); // Successfully deleted
-  } catch (error) {
-    console.error(
-      "Failed to delete struktur organisasi with id:",
-      parsedId,
-      error
-    );
-    res.status(500).send("Error deleting struktur organisasi");
+      const note = await prisma.contactNote.create({
+        data: {
+          contactId,
+          adminId: req.user.id,
+          content: String(content).trim(),
+        },
+        include: { admin: CONTACT_ADMIN },
+      });
+      res.status(201).json(note);
+    } catch (error) {
+      console.error("Error creating contact note:", error);
+      res.status(500).json({ error: "Failed to create contact note" });
+    }
   }
-});
+);
 
-// Create new staff or teacher
-app.post("/api/staffandteachers", upload.single("image"), async (req, res) => {
-  const { name, role } = req.body;
-  const image = req.file ? await uploadToSupabase(req.file) : null; // Upload to Supabase
+// Balas pesan lewat email ke pengirim. Balasan disimpan sebagai thread
+// dan status pesan menjadi "replied". Tanpa SMTP balasan tidak bisa
+// dikirim, jadi ditolak agar admin tidak mengira pengirim sudah dibalas.
+app.post(
+  "/api/contacts/:id/replies",
+  authenticateToken,
+  authorize("contacts"),
+  async (req, res) => {
+    const contactId = Number(req.params.id);
+    if (!isValidId(contactId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
 
-  try {
-    const newStaffAndTeacher = await prisma.staffAndTeacher.create({
-      data: {
-        name,
-        role,
-        image, // Save the Supabase image URL
-      },
-    });
-    res.status(201).json(newStaffAndTeacher);
-  } catch (error) {
-    console.error("Error creating staff or teacher:", error);
-    res.status(500).json({ error: "Failed to create staff or teacher" });
-  }
-});
+    const { subject } = req.body;
+    const message =
+      typeof req.body.message === "string" ? req.body.message.trim() : "";
 
-// Get all staff and teachers
-app.get("/api/staffandteachers", async (req, res) => {
-  const staffAndTeachers = await prisma.staffAndTeacher.findMany();
-  res.json(staffAndTeachers);
-});
+    if (!message) {
+      return res.status(400).json({ error: "Reply message is required" });
+    }
 
-// Get staff and teacher by ID
-app.get("/api/staffandteachers/:id", async (req, res) => {
-  const { id } = req.params;
-  const staffAndTeacher = await prisma.staffAndTeacher.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(staffAndTeacher);
-});
+    if (subject !== undefined && typeof subject !== "string") {
+      return res.status(400).json({ error: "Invalid subject" });
+    }
 
-// Update staff and teacher
-app.put(
-  "/api/staffandteachers/:id",
-  upload.single("image"),
-  async (req, res) => {
-    const { id } = req.params;
-    const { name, role } = req.body;
+    if (mailer.name === "log") {
+      return res
+        .status(503)
+        .json({ error: "Email is not configured, replies cannot be sent" });
+    }
 
     try {
-      // Get the existing staff/teacher data
-      const existingStaffAndTeacher = await prisma.staffAndTeacher.findUnique({
-        where: { id: parseInt(id) },
+      const contact = await prisma.contact.findUnique({
+        where: { id: contactId },
+        include: { replies: { orderBy: { createdAt: "asc" } } },
       });
 
-      if (!existingStaffAndTeacher) {
-        return res.status(404).json({ error: "Staff or teacher not found" });
+      if (!contact) {
+        return res.status(404).json({ error: "Contact not found" });
       }
 
-      let newImage = existingStaffAndTeacher.image;
-
-      // If there's a new image, upload it and delete the old one
-      if (req.file) {
-        newImage = await uploadToSupabase(req.file);
-
-        // Delete the old image from Supabase
-        if (existingStaffAndTeacher.image) {
-          await deleteFromSupabase(existingStaffAndTeacher.image);
-        }
+      const replySubject = subject?.trim() || `Re: Pesan Anda ke ${SITE_NAME}`;
+      const previousMessageIds = contact.replies
+        .map((reply) => reply.messageId)
+        .filter(Boolean);
+
+      let sent;
+      try {
+        sent = await mailer.send({
+          ...CONTACT_EMAILS.reply(contact, message),
+          subject: replySubject,
+          inReplyTo: previousMessageIds.at(-1),
+          references:
+            previousMessageIds.length > 0 ? previousMessageIds : undefined,
+        });
+      } catch (error) {
+        console.error("Error sending contact reply:", error);
+        return res.status(502).json({ error: "Failed to send reply email" });
       }
 
-      // Update the staff/teacher record
-      const updatedStaffAndTeacher = await prisma.staffAndTeacher.update({
-        where: { id: parseInt(id) },
-        data: {
-          name,
-          role,
-          image: newImage, // Set the new image or keep the old one
-        },
-      });
-
-      res.json(updatedStaffAndTeacher);
+      const [reply] = await prisma.$transaction([
+        prisma.contactReply.create({
+          data: {
+            contactId,
+            adminId: req.user.id,
+            subject: replySubject,
+            message,
+            messageId: sent.messageId,
+          },
+          include: { admin: CONTACT_ADMIN },
+        }),
+        prisma.contact.update({
+          where: { id: contactId },
+          data: {
+            status: "replied",
+            readAt: contactReadAt("replied", contact),
+          },
+        }),
+      ]);
+      res.status(201).json(reply);
     } catch (error) {
-      console.error("Error updating staff or teacher:", error);
-      res.status(500).json({ error: "Failed to update staff or teacher" });
+      console.error("Error replying to contact:", error);
+      res.status(500).json({ error: "Failed to reply to contact" });
     }
   }
 );
 
-// Delete staff or teacher
-app.delete("/api/staffandteachers/:id", async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    // Get the existing staff/teacher data
-    const existingStaffAndTeacher = await prisma.staffAndTeacher.findUnique({
-      where: { id: parseInt(id) },
-    });
-
-    if (!existingStaffAndTeacher) {
-      return res.status(404).json({ error: "Staff or teacher not found" });
-    }
-
-    // Delete the image from Supabase if it exists
-    if (existingStaffAndTeacher.image) {
-      await deleteFromSupabase(existingStaffAndTeacher.image);
+// Hapus catatan; hanya penulisnya atau superadmin
+app.delete(
+  "/api/contacts/:id/notes/:noteId",
+  authenticateToken,
+  authorize("contacts"),
+  async (req, res) => {
+    const contactId = Number(req.params.id);
+    const noteId = Number(req.params.noteId);
+    if (!isValidId(contactId) || !isValidId(noteId)) {
+      return res.status(400).json({ error: "Invalid ID" });
     }
 
-    // Delete the staff/teacher record
-    await prisma.staffAndTeacher.delete({
-      where: { id: parseInt(id) },
-    });
-
-    res.status(204).send(); // Respond with no content
-  } catch (error) {
-    console.error("Error deleting staff or teacher:", error);
-    res.status(500).json({ error: "Failed to delete staff or teacher" });
-  }
-});
+    try {
+      const note = await prisma.contactNote.findFirst({
+        where: { id: noteId, contactId },
+      });
 
-// Create a new contact message
-app.post("/api/contacts", async (req, res) => {
-  const { name, email, phone, message } = req.body;
+      if (!note) {
+        return res.status(404).json({ error: "Note not found" });
+      }
 
-  try {
-    const newContact = await prisma.contact.create({
-      data: {
-        name,
-        email,
-        phone,
-        message,
-      },
-    });
-    res.status(201).json(newContact);
-  } catch (error) {
-    console.error("Error creating contact:", error);
-    res.status(500).json({ error: "Failed to create contact message" });
-  }
-});
+      if (note.adminId !== req.user.id && req.user.role !== ROLES.SUPERADMIN) {
+        return res
+          .status(403)
+          .json({ error: "You do not have permission to perform this action" });
+      }
 
-// Get all contact messages
-app.get("/api/contacts", async (req, res) => {
-  try {
-    const contacts = await prisma.contact.findMany();
-    res.json(contacts);
-  } catch (error) {
-    console.error("Error fetching contacts:", error);
-    res.status(500).json({ error: "Failed to fetch contact messages" });
+      await prisma.contactNote.delete({ where: { id: noteId } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error deleting contact note:", error);
+      res.status(500).json({ error: "Failed to delete contact note" });
+    }
   }
-});
+);
 
 // Backend: Delete a contact message by ID
-app.delete("/api/contacts/:id", async (req, res) => {
-  const { id } = req.params;
+app.delete(
+  "/api/contacts/:id",
+  authenticateToken,
+  authorize("contacts"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    // Delete the contact message by its ID
-    const deletedContact = await prisma.contact.delete({
-      where: { id: parseInt(id) }, // Assuming id is an integer
-    });
-    res.status(200).json(deletedContact);
-  } catch (error) {
-    console.error("Error deleting contact:", error);
-    res.status(404).json({ error: "Contact not found or failed to delete" });
+    try {
+      // Delete the contact message by its ID
+      const deletedContact = await prisma.contact.delete({
+        where: { id: parseInt(id) }, // Assuming id is an integer
+      });
+      res.status(200).json(deletedContact);
+    } catch (error) {
+      console.error("Error deleting contact:", error);
+      res.status(404).json({ error: "Contact not found or failed to delete" });
+    }
   }
-});
+);
+
+// Data lama dari sebelum ada sanitasi dirender dulu sebelum API melayani
+// request, agar HTML yang belum aman tidak pernah dikirim ke website
+const renderedRichText = await rerenderRichText(prisma, { pendingOnly: true });
+for (const [model, count] of Object.entries(renderedRichText)) {
+  if (count > 0) console.log(`Rich text: ${count} ${model} records rendered`);
+}
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
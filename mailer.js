@@ -0,0 +1,70 @@
+import nodemailer from "nodemailer";
+
+// Pengirim email. Setiap driver menyediakan:
+//   name        - nama driver
+//   send(mail)  - kirim { to, subject, text, replyTo, inReplyTo, references },
+//                 mengembalikan { messageId }
+
+// SMTP biasa. Untuk development arahkan ke SMTP catcher lokal
+// (mis. Mailpit/MailHog: SMTP_HOST=localhost SMTP_PORT=1025).
+// Timeout dibuat pendek (bawaan nodemailer sampai beberapa menit) supaya
+// server SMTP yang tidak merespons cepat dianggap gagal.
+export const createSmtpMailer = ({
+  host,
+  port,
+  secure,
+  user,
+  pass,
+  from,
+  timeout,
+}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout,
+  });
+
+  return {
+    name: "smtp",
+
+    send: async (mail) => {
+      const info = await transporter.sendMail({ from, ...mail });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Tanpa SMTP email hanya ditulis ke console
+export const createLogMailer = ({ from }) => ({
+  name: "log",
+
+  send: async (mail) => {
+    console.log(`[mail] from ${from} to ${mail.to}: ${mail.subject}`);
+    return { messageId: null };
+  },
+});
+
+// Pilih driver: SMTP jika SMTP_HOST diisi, selain itu log
+export const createMailerFromEnv = (env = process.env) => {
+  const from = env.MAIL_FROM || "no-reply@localhost";
+
+  if (!env.SMTP_HOST) {
+    return createLogMailer({ from });
+  }
+
+  const port = parseInt(env.SMTP_PORT || "587");
+  return createSmtpMailer({
+    host: env.SMTP_HOST,
+    port,
+    // Port 465 memakai TLS langsung, port lain STARTTLS
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from,
+    timeout: parseInt(env.SMTP_TIMEOUT_MS || "5000"),
+  });
+};
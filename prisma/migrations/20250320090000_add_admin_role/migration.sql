@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'superadmin';
+
+-- Existing accounts keep full access, new accounts default to editor
+ALTER TABLE "Admin" ALTER COLUMN "role" SET DEFAULT 'editor';
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "isActive" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "mustChangePassword" BOOLEAN NOT NULL DEFAULT false;
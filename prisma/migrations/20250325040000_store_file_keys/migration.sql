@@ -0,0 +1,64 @@
+-- Convert stored public URLs (Supabase or the local /uploads route) into
+-- storage object keys. Values that are not storage URLs are left untouched.
+CREATE FUNCTION "storage_url_to_key"(url TEXT) RETURNS TEXT AS $$
+DECLARE
+  pattern CONSTANT TEXT := '^https?://[^/]+/(storage/v1/object/public/[^/]+|uploads)/';
+  path TEXT;
+  decoded BYTEA := ''::BYTEA;
+  i INTEGER := 1;
+BEGIN
+  IF url IS NULL OR url !~ pattern THEN
+    RETURN url;
+  END IF;
+
+  path := regexp_replace(url, pattern, '');
+
+  -- URL-decode the remaining path (e.g. %20 for spaces in file names)
+  WHILE i <= length(path) LOOP
+    IF substr(path, i, 1) = '%' AND substr(path, i + 1, 2) ~ '^[0-9A-Fa-f]{2}$' THEN
+      decoded := decoded || decode(substr(path, i + 1, 2), 'hex');
+      i := i + 3;
+    ELSE
+      decoded := decoded || convert_to(substr(path, i, 1), 'UTF8');
+      i := i + 1;
+    END IF;
+  END LOOP;
+
+  RETURN convert_from(decoded, 'UTF8');
+END;
+$$ LANGUAGE plpgsql;
+
+-- UpdateData
+UPDATE "Hero" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "News" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "Extracurricular" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "Kalender" SET "file" = "storage_url_to_key"("file");
+
+-- UpdateData
+UPDATE "Alumni" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "Galeri" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "Sarana" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "HeadmasterMessage" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "Sejarah" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "StrukturOrganisasi" SET "image" = "storage_url_to_key"("image");
+
+-- UpdateData
+UPDATE "StaffAndTeacher" SET "image" = "storage_url_to_key"("image");
+
+DROP FUNCTION "storage_url_to_key"(TEXT);
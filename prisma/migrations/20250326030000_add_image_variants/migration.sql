@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Alumni" ADD COLUMN     "imageVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "Galeri" ADD COLUMN     "imageVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "News" ADD COLUMN     "imageVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "Sarana" ADD COLUMN     "imageVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "StaffAndTeacher" ADD COLUMN     "imageVariants" JSONB;
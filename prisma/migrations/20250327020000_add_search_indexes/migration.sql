@@ -0,0 +1,17 @@
+-- Full-text search indexes (Indonesian dictionary) used by GET /api/search.
+-- The indexed expressions must match searchVector() in index.js.
+
+-- CreateIndex
+CREATE INDEX "News_search_idx" ON "News" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Announcement_search_idx" ON "Announcement" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Extracurricular_search_idx" ON "Extracurricular" USING GIN ((setweight(to_tsvector('indonesian', coalesce("name", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Alumni_search_idx" ON "Alumni" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Galeri_search_idx" ON "Galeri" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A')));
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Announcement" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'published';
+
+-- AlterTable
+ALTER TABLE "News" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'published';
+
+-- CreateIndex
+CREATE INDEX "Announcement_status_publishedDate_idx" ON "Announcement"("status", "publishedDate");
+
+-- CreateIndex
+CREATE INDEX "News_status_publishedAt_idx" ON "News"("status", "publishedAt");
@@ -0,0 +1,112 @@
+-- AlterTable
+ALTER TABLE "News" ADD COLUMN     "slug" TEXT;
+
+-- Isi slug untuk data lama. Slug yang sudah terpakai diberi akhiran
+-- -2, -3, ... sampai unik, sama seperti generateUniqueSlug di index.js
+DO $$
+DECLARE
+    r RECORD;
+    candidate TEXT;
+    counter INTEGER;
+BEGIN
+    FOR r IN
+        SELECT "id", COALESCE(NULLIF(trim(both '-' from left(regexp_replace(lower("title"), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'news') AS "base"
+        FROM "News"
+        ORDER BY "id"
+    LOOP
+        candidate := r."base";
+        counter := 1;
+        WHILE EXISTS (SELECT 1 FROM "News" WHERE "slug" = candidate) LOOP
+            counter := counter + 1;
+            candidate := r."base" || '-' || counter;
+        END LOOP;
+        UPDATE "News" SET "slug" = candidate WHERE "id" = r."id";
+    END LOOP;
+END $$;
+
+-- AlterTable
+ALTER TABLE "News" ALTER COLUMN "slug" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Announcement" ADD COLUMN     "slug" TEXT;
+
+-- Isi slug untuk data lama. Slug yang sudah terpakai diberi akhiran
+-- -2, -3, ... sampai unik, sama seperti generateUniqueSlug di index.js
+DO $$
+DECLARE
+    r RECORD;
+    candidate TEXT;
+    counter INTEGER;
+BEGIN
+    FOR r IN
+        SELECT "id", COALESCE(NULLIF(trim(both '-' from left(regexp_replace(lower("title"), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'announcement') AS "base"
+        FROM "Announcement"
+        ORDER BY "id"
+    LOOP
+        candidate := r."base";
+        counter := 1;
+        WHILE EXISTS (SELECT 1 FROM "Announcement" WHERE "slug" = candidate) LOOP
+            counter := counter + 1;
+            candidate := r."base" || '-' || counter;
+        END LOOP;
+        UPDATE "Announcement" SET "slug" = candidate WHERE "id" = r."id";
+    END LOOP;
+END $$;
+
+-- AlterTable
+ALTER TABLE "Announcement" ALTER COLUMN "slug" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Extracurricular" ADD COLUMN     "slug" TEXT;
+
+-- Isi slug untuk data lama. Slug yang sudah terpakai diberi akhiran
+-- -2, -3, ... sampai unik, sama seperti generateUniqueSlug di index.js
+DO $$
+DECLARE
+    r RECORD;
+    candidate TEXT;
+    counter INTEGER;
+BEGIN
+    FOR r IN
+        SELECT "id", COALESCE(NULLIF(trim(both '-' from left(regexp_replace(lower("name"), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'extracurricular') AS "base"
+        FROM "Extracurricular"
+        ORDER BY "id"
+    LOOP
+        candidate := r."base";
+        counter := 1;
+        WHILE EXISTS (SELECT 1 FROM "Extracurricular" WHERE "slug" = candidate) LOOP
+            counter := counter + 1;
+            candidate := r."base" || '-' || counter;
+        END LOOP;
+        UPDATE "Extracurricular" SET "slug" = candidate WHERE "id" = r."id";
+    END LOOP;
+END $$;
+
+-- AlterTable
+ALTER TABLE "Extracurricular" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "SlugRedirect" (
+    "id" SERIAL NOT NULL,
+    "model" TEXT NOT NULL,
+    "oldSlug" TEXT NOT NULL,
+    "targetId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SlugRedirect_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "News_slug_key" ON "News"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Announcement_slug_key" ON "Announcement"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Extracurricular_slug_key" ON "Extracurricular"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SlugRedirect_model_oldSlug_key" ON "SlugRedirect"("model", "oldSlug");
+
+-- CreateIndex
+CREATE INDEX "SlugRedirect_model_targetId_idx" ON "SlugRedirect"("model", "targetId");
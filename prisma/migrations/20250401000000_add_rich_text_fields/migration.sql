@@ -0,0 +1,41 @@
+-- Rich text: the existing column now holds sanitized HTML, the editor's
+-- original input moves to *Source. Existing values are copied as HTML
+-- sources and left without an excerpt; the API re-renders every row with
+-- a NULL excerpt at startup, before it serves requests.
+
+-- Plain text from HTML, used for the news search index
+CREATE FUNCTION "html_to_text"(html TEXT) RETURNS TEXT AS $$
+  SELECT trim(regexp_replace(
+    replace(replace(replace(replace(replace(
+      regexp_replace(html, '<[^>]*>', ' ', 'g'),
+      '&nbsp;', ' '), '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&amp;', '&'),
+    '\s+', ' ', 'g'))
+$$ LANGUAGE sql IMMUTABLE;
+
+-- AlterTable
+ALTER TABLE "HeadmasterMessage" ADD COLUMN     "excerpt" TEXT,
+ADD COLUMN     "messageFormat" TEXT NOT NULL DEFAULT 'html',
+ADD COLUMN     "messageSource" TEXT;
+
+-- AlterTable
+ALTER TABLE "News" ADD COLUMN     "descriptionFormat" TEXT NOT NULL DEFAULT 'html',
+ADD COLUMN     "descriptionSource" TEXT,
+ADD COLUMN     "excerpt" TEXT;
+
+-- AlterTable
+ALTER TABLE "Sejarah" ADD COLUMN     "excerpt" TEXT,
+ADD COLUMN     "textFormat" TEXT NOT NULL DEFAULT 'html',
+ADD COLUMN     "textSource" TEXT;
+
+UPDATE "HeadmasterMessage" SET "messageSource" = "message";
+
+UPDATE "News" SET "descriptionSource" = "description";
+
+UPDATE "Sejarah" SET "textSource" = "text";
+
+-- Search on the text content instead of the HTML markup.
+-- The indexed expression must match searchVector() in index.js.
+DROP INDEX "News_search_idx";
+
+-- CreateIndex
+CREATE INDEX "News_search_idx" ON "News" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce(html_to_text("description"), '')), 'B')));
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "NewsMedia" (
+    "id" SERIAL NOT NULL,
+    "newsId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "file" TEXT NOT NULL,
+    "imageVariants" JSONB,
+    "originalName" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "caption" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NewsMedia_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NewsMedia_newsId_position_idx" ON "NewsMedia"("newsId", "position");
+
+-- AddForeignKey
+ALTER TABLE "NewsMedia" ADD CONSTRAINT "NewsMedia_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "News"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing news images become the cover media of their article
+INSERT INTO "NewsMedia" ("newsId", "type", "file", "imageVariants", "mimeType", "position", "isCover")
+SELECT "id", 'image', "image", "imageVariants",
+    CASE lower(substring("image" from '\.([^./]+)$'))
+        WHEN 'png' THEN 'image/png'
+        WHEN 'webp' THEN 'image/webp'
+        WHEN 'gif' THEN 'image/gif'
+        ELSE 'image/jpeg'
+    END,
+    0, true
+FROM "News"
+WHERE "image" IS NOT NULL;
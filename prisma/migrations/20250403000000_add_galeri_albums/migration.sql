@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Galeri" ADD COLUMN     "albumId" INTEGER,
+ADD COLUMN     "caption" TEXT,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Album" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "date" TIMESTAMP(3) NOT NULL,
+    "coverId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Album_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Galeri_albumId_position_idx" ON "Galeri"("albumId", "position");
+
+-- CreateIndex
+CREATE INDEX "Album_date_idx" ON "Album"("date");
+
+-- AddForeignKey
+ALTER TABLE "Galeri" ADD CONSTRAINT "Galeri_albumId_fkey" FOREIGN KEY ("albumId") REFERENCES "Album"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Album" ADD CONSTRAINT "Album_coverId_fkey" FOREIGN KEY ("coverId") REFERENCES "Galeri"("id") ON DELETE SET NULL ON UPDATE CASCADE;
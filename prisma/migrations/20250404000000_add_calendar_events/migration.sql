@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Kalender" ADD COLUMN     "academicYear" TEXT;
+
+-- CreateTable
+CREATE TABLE "CalendarEvent" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "allDay" BOOLEAN NOT NULL DEFAULT true,
+    "type" TEXT NOT NULL,
+    "academicYear" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CalendarEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CalendarEvent_startDate_endDate_idx" ON "CalendarEvent"("startDate", "endDate");
+
+-- CreateIndex
+CREATE INDEX "CalendarEvent_academicYear_idx" ON "CalendarEvent"("academicYear");
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "KelasSR" ADD COLUMN     "jumlahSiswa" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "tahunAjaran" TEXT,
+ADD COLUMN     "tingkat" INTEGER,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "waliKelasId" INTEGER;
+
+-- Backfill the grade level from class names such as "7A", "Kelas 8 B" or "VII-C"
+UPDATE "KelasSR"
+SET "tingkat" = CASE
+    WHEN "nama" ~* '\mVIII\M' THEN 8
+    WHEN "nama" ~* '\mVII\M' THEN 7
+    WHEN "nama" ~* '\mIX\M' THEN 9
+    ELSE substring("nama" from '(?:^|[^0-9])([7-9])(?:[^0-9]|$)')::INTEGER
+END;
+
+-- CreateIndex
+CREATE INDEX "KelasSR_waliKelasId_idx" ON "KelasSR"("waliKelasId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KelasSR_nama_tahunAjaran_key" ON "KelasSR"("nama", "tahunAjaran");
+
+-- AddForeignKey
+ALTER TABLE "KelasSR" ADD CONSTRAINT "KelasSR_waliKelasId_fkey" FOREIGN KEY ("waliKelasId") REFERENCES "StaffAndTeacher"("id") ON DELETE SET NULL ON UPDATE CASCADE;
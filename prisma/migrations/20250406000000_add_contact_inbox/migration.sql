@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN     "assignedToId" INTEGER,
+ADD COLUMN     "readAt" TIMESTAMP(3),
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'new',
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing messages were already visible in the admin list, treat them as read
+UPDATE "Contact" SET "status" = 'read', "readAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "ContactNote" (
+    "id" SERIAL NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "adminId" INTEGER,
+    "content" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Contact_status_createdAt_idx" ON "Contact"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Contact_assignedToId_idx" ON "Contact"("assignedToId");
+
+-- CreateIndex
+CREATE INDEX "ContactNote_contactId_idx" ON "ContactNote"("contactId");
+
+-- AddForeignKey
+ALTER TABLE "Contact" ADD CONSTRAINT "Contact_assignedToId_fkey" FOREIGN KEY ("assignedToId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactNote" ADD CONSTRAINT "ContactNote_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactNote" ADD CONSTRAINT "ContactNote_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
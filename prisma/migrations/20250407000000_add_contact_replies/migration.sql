@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ContactReply" (
+    "id" SERIAL NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "adminId" INTEGER,
+    "subject" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "messageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactReply_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactReply_contactId_idx" ON "ContactReply"("contactId");
+
+-- AddForeignKey
+ALTER TABLE "ContactReply" ADD CONSTRAINT "ContactReply_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactReply" ADD CONSTRAINT "ContactReply_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "NewsMedia" ADD COLUMN     "coverOnly" BOOLEAN NOT NULL DEFAULT false;
+
+-- Covers uploaded through the "image" field (position -1) and covers
+-- backfilled from the old News.image column are not gallery photos
+UPDATE "NewsMedia"
+SET "coverOnly" = true
+WHERE "isCover" AND ("position" = -1 OR "originalName" IS NULL);
@@ -0,0 +1,183 @@
+import { fileURLToPath } from "url";
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+
+// Konten rich text dari editor admin, dikirim sebagai HTML atau Markdown.
+// Sumber asli disimpan apa adanya, HTML yang dikirim ke website selalu
+// hasil sanitasi dengan allowlist di bawah.
+export const RICH_TEXT_FORMATS = ["html", "markdown"];
+
+const EXCERPT_LENGTH = parseInt(process.env.EXCERPT_LENGTH || "200");
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h2",
+    "h3",
+    "h4",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "sub",
+    "sup",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "figure",
+    "figcaption",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "pre",
+    "code",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    th: ["colspan", "rowspan"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    // Judul halaman sudah memakai h1 di website
+    h1: "h2",
+    // Link ke tab baru tidak boleh mengakses window.opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === "_blank"
+          ? { ...attribs, rel: "noopener noreferrer" }
+          : attribs,
+    }),
+  },
+};
+
+// Tag blok diganti spasi agar kata dari paragraf berbeda tidak menempel
+const BLOCK_TAG_PATTERN =
+  /<\/?(p|br|hr|h[1-6]|li|blockquote|figcaption|tr|td|th|pre)\b[^>]*>/gi;
+
+// sanitize-html hanya meng-escape karakter berikut di teks
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+
+export const htmlToText = (html) =>
+  decodeEntities(
+    sanitizeHtml(html.replace(BLOCK_TAG_PATTERN, " "), {
+      allowedTags: [],
+      allowedAttributes: {},
+    })
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Potong di batas kata terdekat sebelum maxLength
+export const createExcerpt = (text, maxLength = EXCERPT_LENGTH) => {
+  if (text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+// Ubah sumber (HTML/Markdown) menjadi HTML aman dan cuplikan teks polos
+export const renderRichText = (source, format = "html") => {
+  const html = sanitizeHtml(
+    format === "markdown" ? marked.parse(source) : source,
+    SANITIZE_OPTIONS
+  ).trim();
+
+  return { html, excerpt: createExcerpt(htmlToText(html)) };
+};
+
+// Kolom rich text per model Prisma: kolom HTML, kolom sumber, kolom format
+export const RICH_TEXT_FIELDS = {
+  news: {
+    field: "description",
+    source: "descriptionSource",
+    format: "descriptionFormat",
+  },
+  sejarah: { field: "text", source: "textSource", format: "textFormat" },
+  headmasterMessage: {
+    field: "message",
+    source: "messageSource",
+    format: "messageFormat",
+  },
+};
+
+// Render ulang semua konten dari sumbernya, mis. setelah allowlist diubah.
+// Dengan pendingOnly hanya data lama yang belum pernah dirender (excerpt
+// masih NULL sejak migrasi rich text) yang diproses.
+export const rerenderRichText = async (
+  prisma,
+  { pendingOnly = false } = {}
+) => {
+  const updated = {};
+
+  for (const [model, { field, source, format }] of Object.entries(
+    RICH_TEXT_FIELDS
+  )) {
+    const records = await prisma[model].findMany({
+      where: pendingOnly ? { excerpt: null } : undefined,
+    });
+    updated[model] = 0;
+
+    for (const record of records) {
+      const { html, excerpt } = renderRichText(
+        record[source] ?? record[field],
+        record[format]
+      );
+
+      if (html !== record[field] || excerpt !== record.excerpt) {
+        await prisma[model].update({
+          where: { id: record.id },
+          data: { [field]: html, excerpt },
+        });
+        updated[model]++;
+      }
+    }
+  }
+
+  return updated;
+};
+
+// Jalankan dari command line: node rich-text.js
+const runCli = async () => {
+  const { default: dotenv } = await import("dotenv");
+  const { PrismaClient } = await import("@prisma/client");
+
+  dotenv.config();
+
+  const prisma = new PrismaClient();
+
+  try {
+    const updated = await rerenderRichText(prisma);
+    for (const [model, count] of Object.entries(updated)) {
+      console.log(`${model}: ${count} records updated`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runCli().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,18 @@
+import { escapeXml } from "./feeds.js";
+
+// Sitemap XML (sitemaps.org). Setiap URL: { loc, lastmod }
+// lastmod (Date, opsional) tidak ditulis bila halaman belum punya konten.
+export const buildSitemap = (urls) => {
+  const entries = urls.map(({ loc, lastmod }) => {
+    const lastmodTag = lastmod
+      ? `\n    <lastmod>${lastmod.toISOString()}</lastmod>`
+      : "";
+    return `  <url>\n    <loc>${escapeXml(loc)}</loc>${lastmodTag}\n  </url>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("\n")}
+</urlset>
+`;
+};
@@ -0,0 +1,173 @@
+import { fileURLToPath } from "url";
+import { isExternalFile } from "./storage.js";
+
+// Kolom yang menyimpan key file, per model Prisma
+export const FILE_FIELDS = {
+  hero: ["image"],
+  news: ["image"],
+  newsMedia: ["file"],
+  extracurricular: ["image"],
+  kalender: ["file"],
+  alumni: ["image"],
+  galeri: ["image"],
+  sarana: ["image"],
+  headmasterMessage: ["image"],
+  sejarah: ["image"],
+  strukturOrganisasi: ["image"],
+  staffAndTeacher: ["image"],
+};
+
+// Model yang juga menyimpan varian gambar di kolom imageVariants
+const VARIANT_MODELS = [
+  "news",
+  "newsMedia",
+  "alumni",
+  "galeri",
+  "sarana",
+  "staffAndTeacher",
+];
+
+// Semua key file yang dirujuk database, beserta asal rujukannya
+export const collectReferencedFiles = async (prisma) => {
+  const references = [];
+
+  for (const [model, fields] of Object.entries(FILE_FIELDS)) {
+    const hasVariants = VARIANT_MODELS.includes(model);
+    const select = { id: true };
+    for (const field of fields) select[field] = true;
+    if (hasVariants) select.imageVariants = true;
+
+    const records = await prisma[model].findMany({ select });
+
+    for (const record of records) {
+      for (const field of fields) {
+        if (record[field] && !isExternalFile(record[field])) {
+          references.push({ key: record[field], model, id: record.id, field });
+        }
+      }
+
+      for (const variant of (hasVariants && record.imageVariants) || []) {
+        references.push({
+          key: variant.key,
+          model,
+          id: record.id,
+          field: "imageVariants",
+        });
+      }
+    }
+  }
+
+  return references;
+};
+
+// Bandingkan isi storage dengan rujukan di database.
+// orphans: file di storage yang tidak dirujuk record mana pun
+// missing: rujukan di database yang filenya tidak ada di storage
+// Jika deleteOrphans aktif, orphan yang lebih tua dari graceHours dihapus.
+// Masa tenggang mencegah terhapusnya file yang baru saja diupload dan
+// record-nya belum selesai disimpan.
+export const reconcileStorage = async ({
+  prisma,
+  storage,
+  deleteOrphans = false,
+  graceHours = 24,
+}) => {
+  const [references, files] = await Promise.all([
+    collectReferencedFiles(prisma),
+    storage.list(),
+  ]);
+
+  const referencedKeys = new Set(references.map((reference) => reference.key));
+  const storedKeys = new Set(files.map((file) => file.key));
+  const graceLimit = Date.now() - graceHours * 60 * 60 * 1000;
+
+  const orphans = files
+    .filter((file) => !referencedKeys.has(file.key))
+    .map((file) => ({
+      ...file,
+      deletable: file.lastModified.getTime() < graceLimit,
+    }));
+  const missing = references.filter(
+    (reference) => !storedKeys.has(reference.key)
+  );
+
+  const deleted = [];
+  const failed = [];
+  if (deleteOrphans) {
+    for (const orphan of orphans.filter((file) => file.deletable)) {
+      try {
+        await storage.delete(orphan.key);
+        deleted.push(orphan.key);
+      } catch (error) {
+        failed.push({ key: orphan.key, error: error.message });
+      }
+    }
+  }
+
+  return {
+    storageDriver: storage.name,
+    totalFiles: files.length,
+    totalReferences: references.length,
+    graceHours,
+    orphans,
+    missing,
+    deleted,
+    failed,
+  };
+};
+
+// Jalankan dari command line:
+//   node storage-gc.js                 laporan saja
+//   node storage-gc.js --delete        hapus orphan yang melewati masa tenggang
+//   node storage-gc.js --grace-hours=48
+const runCli = async () => {
+  const { default: dotenv } = await import("dotenv");
+  const { PrismaClient } = await import("@prisma/client");
+  const { createStorageFromEnv } = await import("./storage.js");
+
+  dotenv.config();
+
+  const args = process.argv.slice(2);
+  const graceArg = args.find((arg) => arg.startsWith("--grace-hours="));
+  const prisma = new PrismaClient();
+
+  try {
+    const report = await reconcileStorage({
+      prisma,
+      storage: createStorageFromEnv(),
+      deleteOrphans: args.includes("--delete"),
+      graceHours: graceArg ? parseFloat(graceArg.split("=")[1]) : 24,
+    });
+
+    console.log(
+      `Storage (${report.storageDriver}): ${report.totalFiles} files, ${report.totalReferences} references`
+    );
+    console.log(`Orphaned files: ${report.orphans.length}`);
+    for (const orphan of report.orphans) {
+      console.log(
+        `  ${orphan.key}${orphan.deletable ? "" : " (within grace period)"}`
+      );
+    }
+    console.log(`Missing files: ${report.missing.length}`);
+    for (const reference of report.missing) {
+      console.log(
+        `  ${reference.key} (${reference.model} #${reference.id}.${reference.field})`
+      );
+    }
+    if (args.includes("--delete")) {
+      console.log(`Deleted: ${report.deleted.length}`);
+      for (const failure of report.failed) {
+        console.log(`  failed to delete ${failure.key}: ${failure.error}`);
+      }
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runCli().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
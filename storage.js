@@ -0,0 +1,180 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createClient } from "@supabase/supabase-js";
+
+const PROJECT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Driver penyimpanan file. Setiap driver menyediakan:
+//   put(key, buffer, contentType) - simpan file dengan key tertentu
+//   delete(key)                   - hapus file
+//   getUrl(key)                   - URL publik file
+//   list()                        - semua file: [{ key, size, lastModified }]
+
+// Nilai berupa URL penuh atau path absolut bukan milik storage
+// (mis. data seed), jadi dikirim apa adanya dan tidak pernah dihapus
+export const isExternalFile = (value) =>
+  /^https?:\/\//.test(value) || value.startsWith("/");
+
+// Supabase Storage
+export const createSupabaseStorage = ({ url, key, bucket }) => {
+  const supabase = createClient(url, key);
+
+  return {
+    name: "supabase",
+
+    put: async (fileKey, buffer, contentType) => {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(fileKey, buffer, { contentType });
+
+      if (error) {
+        console.error("Supabase upload error:", error);
+        throw new Error("Failed to upload file to Supabase");
+      }
+    },
+
+    delete: async (fileKey) => {
+      const { error } = await supabase.storage.from(bucket).remove([fileKey]);
+
+      if (error) {
+        console.error("Supabase delete error:", error);
+        throw new Error("Failed to delete file from Supabase");
+      }
+    },
+
+    getUrl: (fileKey) =>
+      supabase.storage.from(bucket).getPublicUrl(fileKey).data.publicUrl,
+
+    list: async () => {
+      const files = [];
+      const pageSize = 1000;
+
+      // Supabase hanya menampilkan satu folder per panggilan
+      const listFolder = async (prefix) => {
+        for (let offset = 0; ; offset += pageSize) {
+          const { data, error } = await supabase.storage
+            .from(bucket)
+            .list(prefix, { limit: pageSize, offset });
+
+          if (error) {
+            console.error("Supabase list error:", error);
+            throw new Error("Failed to list files in Supabase");
+          }
+
+          for (const item of data) {
+            const itemKey = prefix ? `${prefix}/${item.name}` : item.name;
+            if (item.id === null) {
+              await listFolder(itemKey);
+            } else {
+              files.push({
+                key: itemKey,
+                size: item.metadata?.size ?? null,
+                lastModified: new Date(item.updated_at || item.created_at),
+              });
+            }
+          }
+
+          if (data.length < pageSize) break;
+        }
+      };
+
+      await listFolder("");
+      return files;
+    },
+  };
+};
+
+// Folder lokal, file disajikan oleh Express di bawah publicUrl
+export const createLocalStorage = ({ directory, publicUrl }) => {
+  const rootDir = path.resolve(PROJECT_DIR, directory);
+
+  // Cegah key seperti "../index.js" keluar dari folder upload
+  const resolvePath = (fileKey) => {
+    const filePath = path.resolve(rootDir, fileKey);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid file key: ${fileKey}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    directory: rootDir,
+
+    put: async (fileKey, buffer) => {
+      const filePath = resolvePath(fileKey);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    delete: async (fileKey) => {
+      try {
+        await fs.unlink(resolvePath(fileKey));
+      } catch (error) {
+        // File yang sudah tidak ada dianggap berhasil dihapus
+        if (error.code !== "ENOENT") {
+          console.error("Local storage delete error:", error);
+          throw new Error("Failed to delete file from local storage");
+        }
+      }
+    },
+
+    getUrl: (fileKey) =>
+      `${publicUrl}/${fileKey.split("/").map(encodeURIComponent).join("/")}`,
+
+    list: async () => {
+      const files = [];
+
+      const listFolder = async (folder) => {
+        let entries;
+        try {
+          entries = await fs.readdir(folder, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT") return;
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const entryPath = path.join(folder, entry.name);
+          if (entry.isDirectory()) {
+            await listFolder(entryPath);
+          } else if (entry.isFile()) {
+            const stat = await fs.stat(entryPath);
+            files.push({
+              key: path.relative(rootDir, entryPath).split(path.sep).join("/"),
+              size: stat.size,
+              lastModified: stat.mtime,
+            });
+          }
+        }
+      };
+
+      await listFolder(rootDir);
+      return files;
+    },
+  };
+};
+
+// Pilih driver dari STORAGE_DRIVER (default: supabase)
+export const createStorageFromEnv = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || "supabase";
+
+  if (driver === "local") {
+    return createLocalStorage({
+      directory: env.LOCAL_STORAGE_DIR || "uploads",
+      publicUrl:
+        env.LOCAL_STORAGE_URL || `http://localhost:${env.PORT || 5000}/uploads`,
+    });
+  }
+
+  if (driver === "supabase") {
+    return createSupabaseStorage({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_KEY,
+      bucket: env.SUPABASE_BUCKET || "uploads",
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};